@@ -1,7 +1,124 @@
 import { app } from "../../scripts/app.js";
 import { api } from "../../scripts/api.js";
 import { $el } from "../../scripts/ui.js";
-import { debug, _name, _endpoint, api_get, api_post } from "./utils.js";
+import { debug, _name, _endpoint, api_get, api_post, unionBounds, getBoundsGap, snapToGrid, snapDeltaToGrid, getAxisLines, 
+         normalizeKey, resolveAxisCollisions, isModifierPressed, formatCombo, getComboId } from "./utils.js";
+
+// 移動キーのプリセット（KeyboardEvent.keyを小文字化した値）
+const KEY_LAYOUTS = {
+    'Arrows': { up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight' },
+    'WASD':   { up: 'w', down: 's', left: 'a', right: 'd' },
+    'hjkl':   { up: 'k', down: 'j', left: 'h', right: 'l' }
+};
+
+const DIRECTION_VECTORS = {
+    up: [0, -1],
+    down: [0, 1],
+    left: [-1, 0],
+    right: [1, 0]
+};
+
+// 修飾キー名とKeyboardEvent.keyの対応
+const MODIFIER_KEYS = {
+    'Shift': ['Shift'],
+    'Ctrl': ['Control', 'Meta'],
+    'Alt': ['Alt']
+};
+
+// リンクでつながったノードごと動かす修飾キーの候補
+const CHAIN_MODIFIERS = ['Ctrl+Shift', 'Ctrl+Alt+Shift', 'Alt+Shift'];
+
+// 競合チェック用のComfyUI標準キーバインド（主なもの）
+// 実行時にComfyUIのキーバインドを読めない場合のみ使う
+const COMFY_KEYBINDINGS = [
+    { combo: { key: 'Enter', ctrl: true }, commandId: 'Comfy.QueuePrompt' },
+    { combo: { key: 'Enter', ctrl: true, shift: true }, commandId: 'Comfy.QueuePromptFront' },
+    { combo: { key: 'Enter', ctrl: true, alt: true }, commandId: 'Comfy.Interrupt' },
+    { combo: { key: ',', ctrl: true }, commandId: 'Comfy.ShowSettingsDialog' },
+    { combo: { key: 'r' }, commandId: 'Comfy.RefreshNodeDefinitions' },
+    { combo: { key: 'q' }, commandId: 'Workspace.ToggleSidebarTab.queue' },
+    { combo: { key: 'w' }, commandId: 'Workspace.ToggleSidebarTab.workflows' },
+    { combo: { key: 'n' }, commandId: 'Workspace.ToggleSidebarTab.node-library' },
+    { combo: { key: 'm' }, commandId: 'Workspace.ToggleSidebarTab.model-library' },
+    { combo: { key: 'p' }, commandId: 'Comfy.Canvas.ToggleSelected.Pin' },
+    { combo: { key: 'f' }, commandId: 'Workspace.ToggleFocusMode' },
+    { combo: { key: '.' }, commandId: 'Comfy.Canvas.FitView' },
+    { combo: { key: 'c', alt: true }, commandId: 'Comfy.Canvas.ToggleSelectedNodes.Collapse' },
+    { combo: { key: 'b', ctrl: true }, commandId: 'Comfy.Canvas.ToggleSelectedNodes.Bypass' },
+    { combo: { key: 'm', ctrl: true }, commandId: 'Comfy.Canvas.ToggleSelectedNodes.Mute' },
+    { combo: { key: 's', ctrl: true }, commandId: 'Comfy.SaveWorkflow' },
+    { combo: { key: 'o', ctrl: true }, commandId: 'Comfy.OpenWorkflow' },
+    { combo: { key: 'g', ctrl: true }, commandId: 'Comfy.Graph.GroupSelectedNodes' }
+];
+
+// キーバインドとして登録されていない、LiteGraphやComfyUIがキャンバスで直接処理する操作
+const CANVAS_KEYBINDINGS = [
+    { combo: { key: 'a', ctrl: true }, commandId: 'LiteGraph select all' },
+    { combo: { key: 'c', ctrl: true }, commandId: 'LiteGraph copy' },
+    { combo: { key: 'v', ctrl: true }, commandId: 'LiteGraph paste' },
+    { combo: { key: 'v', ctrl: true, shift: true }, commandId: 'LiteGraph paste with links' },
+    { combo: { key: 'z', ctrl: true }, commandId: 'Undo' },
+    { combo: { key: 'y', ctrl: true }, commandId: 'Redo' },
+    { combo: { key: 'z', ctrl: true, shift: true }, commandId: 'Redo' }
+];
+
+// Preview Image等の画像切り替え（キーバインドではないので移動キーとしては譲らず、競合の通知のみ）
+const PREVIEW_NAVIGATION_KEYBINDINGS = [
+    { combo: { key: 'ArrowLeft' }, commandId: 'Preview Image navigation' },
+    { combo: { key: 'ArrowRight' }, commandId: 'Preview Image navigation' }
+];
+
+// 矢印キー連打を1つの履歴にまとめる猶予時間（ms、キーを離してから）
+const ARROW_BURST_TIMEOUT = 500;
+
+// なめらかな移動: 基本速度（1秒あたりのステップ数）、最高速度に達するまでの時間（秒）、
+// 押しっぱなしと判定するまでの時間（ms）
+const SMOOTH_MOVE_BASE_RATE = 8;
+const SMOOTH_MOVE_ACCELERATION_TIME = 2;
+const SMOOTH_MOVE_HOLD_DELAY = 250;
+
+// 制限方向を切り替えるために必要な、境界角度からの余裕（度）
+const DIRECTION_HYSTERESIS = 10;
+
+// ドラッグ中に制限方向を切り替えるキー（KeyboardEvent.code）
+const DIRECTION_TOGGLE_KEYS = {
+    'KeyX': 'horizontal',
+    'KeyY': 'vertical',
+    'Tab': 'toggle'
+};
+
+// 押し出し・衝突停止で保つ間隔
+const COLLISION_GAP = 10;
+
+// 固定されたノード・グループをスキップした通知の最短間隔 (ms)
+const SKIP_NOTICE_INTERVAL = 3000;
+
+// スマートガイドの線の色
+const GUIDE_COLOR = "#ff4fd8";
+
+// グループへの出入りを示す枠の色
+const GROUP_ENTER_COLOR = "#4caf50";
+const GROUP_LEAVE_COLOR = "#f44336";
+
+// グループを広げる時の内側の余白
+const GROUP_PADDING = 10;
+
+// レイアウトのスナップショット
+const SNAPSHOT_EXTRA_KEY = "linearMoveSnapshots"; // graph.extraのキー
+const SNAPSHOT_TRANSITION_DURATION = 300; // 復元時のアニメーション (ms)
+const SNAPSHOT_COMPARE_COLOR = "#2196f3";
+
+// タッチ・ペンの長押し
+const LONG_PRESS_DELAY = 500; // (ms)
+const LONG_PRESS_TOLERANCE = 8; // 長押し中に動いてもよい距離（画面上のピクセル）
+
+// LiteGraphのクリップボード（複製の前後で元に戻す）
+const CLIPBOARD_STORAGE_KEY = "litegrapheditor_clipboard";
+
+// 計測表示（画面上のピクセル単位）
+const HUD_FONT_SIZE = 12;
+const HUD_PADDING = 6;
+const HUD_OFFSET = 8;
 
 // ===============================================
 // MovementManager - ノード・グループ移動拡張機能
@@ -10,9 +127,36 @@ class MovementManager {
     constructor() {
         // 基本設定
         this.enableArrowMove = true;
+        this.enableAxisLock = true;
         this.moveSteps = 100;
         this.moveStepsShift = 200;
         this.moveStepsCtrl = 10;
+        this.distributeGap = 0; // 0の場合は等間隔
+        this.enableGridSnap = false;
+        this.gridSize = 0; // 0の場合はLiteGraphのグリッドサイズ
+        this.enableSmartGuides = true;
+        this.smartGuideDistance = 8; // 吸着する距離（画面上のpx）
+        this.enableDiagonalLock = false;
+        this.enableDirectionReevaluation = true;
+        this.enableSelectionNavigation = true;
+        this.enableKeyboardResize = true;
+        this.enableAutoPan = false;
+        this.enableSmoothMove = false;
+        this.enableMeasurementHud = true;
+        this.showNeighborDistance = false;
+        this.enableGroupMembershipUpdate = false;
+        this.enableGroupAutoExpand = false;
+        this.collisionMode = 'off'; // 'off' | 'push'（押し出す） | 'stop'（手前で止まる）
+        this.chainDirection = 'both'; // 'upstream' | 'downstream' | 'both'
+        this.chainHops = 0; // 0の場合は無制限
+        this.benchmarkMode = false;
+        this.enableLongPressAxisLock = true;
+        this.showAxisLockButton = false;
+        this.duplicateKeepLinks = false;
+        this.arrayDuplicateCount = 3;
+        this.smoothMoveMaxSpeed = 4; // 基本速度の倍率
+        this.autoPanMargin = 50; // 画面上のpx
+        this.resizeSteps = 20;
 
         // Shift+ドラッグ制限の状態
         this.shiftDragState = {
@@ -20,17 +164,113 @@ class MovementManager {
             startMouse: { x: 0, y: 0 },
             nodeStartPositions: new Map(),
             groupStartPositions: new Map(),
-            direction: null, // 'horizontal', 'vertical', null
-            threshold: 10
+            rerouteStartPositions: new Map(),
+            direction: null, // 'horizontal', 'vertical', 'diagonal-down', 'diagonal-up', null
+            threshold: 10,
+            directionLocked: false, // キーで方向を指定した場合は自動で再判定しない
+            ownsPointer: false, // LiteGraphの代わりにドラッグを処理している
+            pointerId: null,
+            reference: null, // { item, start } LiteGraphによる移動量の基準
+            anchorStart: { x: 0, y: 0 },
+            rawDelta: { x: 0, y: 0 },
+            appliedDelta: { x: 0, y: 0 },
+            movingBounds: null, // 移動対象全体の開始時の外接矩形
+            guideTargets: [], // 移動対象以外のノード・グループの外接矩形
+            collision: null, // { moverBounds, units } 押し出し・衝突停止用
+            targets: null, // { nodes, groups } 移動対象
+            canceled: false, // beforeMoveイベントで取り消された
+            cloned: false, // ALT+ドラッグで複製したものを動かしている
+            constraintFrame: null // 次のフレームで制約を適用する予約
+        };
+        
+        // 矢印キー連打中に動かした移動対象（グループの所属更新用）
+        this.arrowMoveTargets = null;
+        
+        // グループへの出入りのヒント { group, type: 'enter' | 'leave' }
+        this.membershipHints = [];
+        
+        // 固定されたノード・グループをスキップした通知の時刻
+        this.lastSkipNoticeTime = 0;
+        
+        // 矢印キー移動の計測 { start: 開始時の基準点, axis, targets }
+        this.arrowMeasurement = null;
+        
+        // タッチ・ペン操作
+        this.longPressState = null; // { pointerId, startX, startY, event, timer }
+        this.axisLockLatched = false; // 画面上のボタンで方向固定をONにしている
+        this.axisLockButton = null;
+        
+        // 1回の操作（矢印キーの連打・ドラッグ）の間だけ使うキャッシュ
+        // { selection, targets: Map(chain → 移動対象), collisionUnits: Map(移動対象 → 単位), memberGroups, stats }
+        this.gestureCache = null;
+        
+        // 他の拡張機能向けのイベント（beforeMove / afterMove）
+        this.events = new EventTarget();
+        
+        // スナップショットの復元アニメーション { frame, moves, startTime }
+        this.snapshotTransition = null;
+        
+        // 比較表示中のスナップショット名
+        this.comparingSnapshot = null;
+        
+        // キー割り当て（修飾キーは 'Shift' | 'Ctrl' | 'Alt'）
+        this.keyBindings = {
+            keys: { ...KEY_LAYOUTS['Arrows'] },
+            largeStepModifier: 'Shift',
+            fineStepModifier: 'Ctrl',
+            axisLockModifier: 'Shift',
+            chainModifier: 'Ctrl+Shift'
+        };
+        this.conflictReportTimer = null;
+        
+        // なめらかな移動の状態
+        this.smoothMoveState = {
+            active: false,
+            direction: null,
+            step: 0,
+            vector: [0, 0],
+            chain: false,
+            anchorStart: 0, // グリッド吸着用（移動軸方向の基準点）
+            traveled: 0, // 移動した距離
+            applied: 0, // 実際に適用した距離（整数）
+            target: 0, // 止まる距離
+            minTarget: 0, // 押した回数分の距離（これより手前では止まらない）
+            holding: false,
+            holdStart: 0,
+            lastTime: 0,
+            speedFactor: 1,
+            frame: null
+        };
+        
+        // ALT+矢印キーで最後に選択した要素
+        this.navigationFocus = null;
+        
+        // 描画中のガイド線 { axis: 'x' | 'y', value, from, to }
+        this.guideLines = [];
+        
+        // Undo/Redo履歴の状態
+        this.historyState = {
+            tracker: null,
+            owners: new Set(), // 'arrow', 'drag' など変更中の操作
+            arrowTimer: null,
+            heldDirections: new Set() // 押し続けている移動キーの方向（離すまで履歴を確定しない）
         };
         
         // イベントハンドラーをバインド
         this.boundHandlers = {
             keydown: this.handleKeyDown.bind(this),
             shiftKeyUp: this.handleShiftKeyUp.bind(this),
+            smoothMoveKeyUp: this.handleSmoothMoveKeyUp.bind(this),
+            arrowKeyUp: this.handleArrowKeyUp.bind(this),
+            blur: () => {
+                this.releaseSmoothMove();
+                this.releaseArrowKeys();
+            },
+            clonePointerDown: this.handleClonePointerDown.bind(this),
             pointerDown: this.handlePointerDown.bind(this),
             pointerMove: this.handlePointerMove.bind(this),
-            pointerUp: this.handlePointerUp.bind(this)
+            pointerUp: this.handlePointerUp.bind(this),
+            contextMenu: this.handleContextMenu.bind(this)
         };
         
         this.isInitialized = false;
@@ -43,6 +283,8 @@ class MovementManager {
         if (this.isInitialized) return;
         
         this.setupEventListeners();
+        this.setupCanvasOverlay();
+        this.updateAxisLockButton();
         this.isInitialized = true;
     }
     
@@ -50,7 +292,14 @@ class MovementManager {
         if (!this.isInitialized) return;
         
         this.removeEventListeners();
+        this.removeCanvasOverlay();
+        this.cancelLongPress();
+        this.removeAxisLockButton();
         this.resetShiftDrag();
+        this.finishSmoothMove(true);
+        this.finishSnapshotTransition();
+        this.historyState.heldDirections.clear();
+        this.flushHistory();
         this.isInitialized = false;
     }
     
@@ -58,31 +307,67 @@ class MovementManager {
         // キーボードイベント
         document.addEventListener('keydown', this.boundHandlers.keydown, { capture: true, passive: false });
         document.addEventListener('keyup', this.boundHandlers.shiftKeyUp, { capture: true });
+        document.addEventListener('keyup', this.boundHandlers.smoothMoveKeyUp, { capture: true });
+        document.addEventListener('keyup', this.boundHandlers.arrowKeyUp, { capture: true });
+        window.addEventListener('blur', this.boundHandlers.blur);
         
         // ポインターイベント（Shift+ドラッグ制限用）
+        // ALT付きの複製はLiteGraphの複製より先に処理するため、キャンバスより上で受け取る
+        document.addEventListener('pointerdown', this.boundHandlers.clonePointerDown, { capture: true });
         app.canvasEl.addEventListener('pointerdown', this.boundHandlers.pointerDown, { capture: true });
         app.canvasEl.addEventListener('pointermove', this.boundHandlers.pointerMove, { capture: true });
         app.canvasEl.addEventListener('pointerup', this.boundHandlers.pointerUp, { capture: true });
+        app.canvasEl.addEventListener('pointercancel', this.boundHandlers.pointerUp, { capture: true });
+        app.canvasEl.addEventListener('contextmenu', this.boundHandlers.contextMenu, { capture: true });
     }
     
     removeEventListeners() {
         document.removeEventListener('keydown', this.boundHandlers.keydown, { capture: true });
         document.removeEventListener('keyup', this.boundHandlers.shiftKeyUp, { capture: true });
+        document.removeEventListener('keyup', this.boundHandlers.smoothMoveKeyUp, { capture: true });
+        document.removeEventListener('keyup', this.boundHandlers.arrowKeyUp, { capture: true });
+        window.removeEventListener('blur', this.boundHandlers.blur);
         
+        document.removeEventListener('pointerdown', this.boundHandlers.clonePointerDown, { capture: true });
         app.canvasEl.removeEventListener('pointerdown', this.boundHandlers.pointerDown, { capture: true });
         app.canvasEl.removeEventListener('pointermove', this.boundHandlers.pointerMove, { capture: true });
         app.canvasEl.removeEventListener('pointerup', this.boundHandlers.pointerUp, { capture: true });
+        app.canvasEl.removeEventListener('pointercancel', this.boundHandlers.pointerUp, { capture: true });
+        app.canvasEl.removeEventListener('contextmenu', this.boundHandlers.contextMenu, { capture: true });
+    }
+    
+    // キャンバスの前景描画にオーバーレイを追加
+    setupCanvasOverlay() {
+        const manager = this;
+        const canvas = app.canvas;
+        const original = canvas.onDrawForeground;
+        
+        this.originalDrawForeground = original;
+        canvas.onDrawForeground = function(ctx, visibleArea) {
+            original?.apply(this, arguments);
+            manager.drawOverlay(ctx);
+        };
+    }
+    
+    removeCanvasOverlay() {
+        app.canvas.onDrawForeground = this.originalDrawForeground;
+        this.originalDrawForeground = null;
     }
     
     // ===============================================
     // ユーティリティ関数
     // ===============================================
+    isInputFocused() {
+        const activeElement = document.activeElement;
+        const inputTags = ['INPUT', 'TEXTAREA'];
+        return inputTags.includes(activeElement?.tagName) || !!activeElement?.isContentEditable;
+    }
+    
     canNodeMove() {
         const activeElement = document.activeElement;
         
         // 入力フィールドにフォーカスがある場合は無効
-        const inputTags = ['INPUT', 'TEXTAREA'];
-        if (inputTags.includes(activeElement?.tagName) || activeElement?.isContentEditable) {
+        if (this.isInputFocused()) {
             return false;
         }
         
@@ -91,41 +376,176 @@ class MovementManager {
         const imageTags = ['CANVAS', 'IMG'];
         if (imageClasses.some(cls => activeElement?.classList?.contains(cls)) || 
             imageTags.includes(activeElement?.tagName)) {
-            const { nodes, groups } = this.getSelectedElements();
-            return nodes.length > 0 || groups.length > 0;
+            const { nodes, groups, reroutes } = this.getSelectedElements();
+            return nodes.length > 0 || groups.length > 0 || reroutes.length > 0;
         }
 
         return true;
     }
 
+    // キャンバスで表示中の階層のグラフ（サブグラフを開いている場合はそのサブグラフ）
+    getGraphNodes() {
+        const graph = app.canvas.graph;
+        return graph?.nodes ?? graph?._nodes ?? [];
+    }
+    
+    getGraphGroups() {
+        const graph = app.canvas.graph;
+        return graph?.groups ?? graph?._groups ?? [];
+    }
+    
+    // リンク上のリルートポイント（LiteGraphのネイティブリルート）
+    getGraphReroutes() {
+        const reroutes = app.canvas.graph?.reroutes;
+        if (!reroutes) return [];
+        return reroutes instanceof Map ? [...reroutes.values()] : Object.values(reroutes);
+    }
+    
+    isReroute(item) {
+        return !!item && 'linkIds' in item && !(item instanceof LGraphNode) && !(item instanceof LGraphGroup);
+    }
+    
+    // 表示中の階層に属しているか（親・子のサブグラフの要素は対象外）
+    isInCurrentGraph(item) {
+        return !item.graph || item.graph === app.canvas.graph;
+    }
+    
+    // ピン留め・ロックされたノード・グループ
+    isPinned(item) {
+        return !!(item.pinned || item.flags?.pinned || item.locked || item.flags?.locked);
+    }
+    
     getSelectedNodes() {
         const selectedNodes = app.canvas.selected_nodes;
-        return typeof selectedNodes === "object" ? Object.values(selectedNodes) : [];
+        if (typeof selectedNodes !== "object" || !selectedNodes) return [];
+        return Object.values(selectedNodes).filter(node => this.isInCurrentGraph(node));
     }
     
     getSelectedGroups() {
         // ComfyUIのグループ選択状態を取得
         const canvas = app.canvas;
-        const selectedGroups = [];
+        const graphGroups = this.getGraphGroups();
         
-        if (canvas.graph && canvas.graph._groups) {
-            canvas.graph._groups.forEach(group => {
-                if (group.selected || (canvas.selected_group === group)) {
-                    selectedGroups.push(group);
-                }
-            });
+        if (canvas.selectedItems) {
+            return [...canvas.selectedItems].filter(item => item instanceof LGraphGroup && graphGroups.includes(item));
         }
+        return graphGroups.filter(group => group.selected || canvas.selected_group === group);
+    }
+    
+    getSelectedReroutes() {
+        const canvas = app.canvas;
+        const graphReroutes = this.getGraphReroutes();
         
-        return selectedGroups;
+        if (canvas.selectedItems) {
+            return [...canvas.selectedItems].filter(item => this.isReroute(item) && graphReroutes.includes(item));
+        }
+        return graphReroutes.filter(reroute => reroute.selected);
     }
     
+    // 操作中は選択が変わっていなければキャッシュを返す
     getSelectedElements() {
-        return {
+        const cache = this.gestureCache;
+        if (cache?.selection && this.isSelectionUnchanged(cache.selection)) {
+            return cache.selection;
+        }
+        
+        const selection = {
             nodes: this.getSelectedNodes(),
-            groups: this.getSelectedGroups()
+            groups: this.getSelectedGroups(),
+            reroutes: this.getSelectedReroutes()
+        };
+        if (cache) {
+            cache.selection = selection;
+            cache.targets.clear();
+            cache.collisionUnits.clear();
+        }
+        return selection;
+    }
+    
+    // キャッシュした要素が全て選択されたままで、数も同じか
+    isSelectionUnchanged({ nodes, groups, reroutes }) {
+        const items = [...nodes, ...groups, ...reroutes];
+        if (!items.every(item => item.selected)) return false;
+        
+        const canvas = app.canvas;
+        if (canvas.selectedItems) return canvas.selectedItems.size === items.length;
+        return Object.keys(canvas.selected_nodes ?? {}).length === nodes.length;
+    }
+    
+    // ===============================================
+    // 操作ごとのキャッシュとベンチマーク
+    // ===============================================
+    // 矢印キーの連打・ドラッグの間、移動対象とグループの階層は変わらないものとして使い回す
+    beginGesture() {
+        this.gestureCache ??= {
+            selection: null,
+            targets: new Map(),
+            collisionUnits: new Map(),
+            memberGroups: null,
+            stats: { moves: 0, total: 0, max: 0, items: 0 }
         };
     }
     
+    // 矢印キーの連打・スムーズ移動を確定し、キャッシュや所属のヒントを次の操作と分ける
+    flushArrowGesture() {
+        this.finishSmoothMove(true);
+        if (this.historyState.owners.has('arrow')) this.endArrowHistory();
+    }
+    
+    endGesture(kind) {
+        const cache = this.gestureCache;
+        if (!cache) return;
+        this.gestureCache = null;
+        
+        const { moves, total, max, items } = cache.stats;
+        if (this.benchmarkMode && moves > 0) {
+            console.log(
+                `[LinearMove] ${kind}: ${moves} moves, avg ${(total / moves).toFixed(3)} ms, max ${max.toFixed(3)} ms ` +
+                `(${items} moving items, ${this.getGraphNodes().length} nodes in graph)`
+            );
+        }
+    }
+    
+    // グループの所属などが変わった時はキャッシュを作り直す
+    invalidateGestureCache() {
+        const cache = this.gestureCache;
+        if (!cache) return;
+        cache.selection = null;
+        cache.targets.clear();
+        cache.collisionUnits.clear();
+        cache.memberGroups = null;
+    }
+    
+    // 選択の移動対象（操作中はキャッシュ）
+    getSelectedMoveTargets(options = {}) {
+        const { nodes, groups, reroutes } = this.getSelectedElements();
+        const cache = this.gestureCache;
+        const key = !!options.chain;
+        if (cache?.targets.has(key)) return cache.targets.get(key);
+        
+        const targets = this.collectMoveTargets(nodes, groups, { ...options, reroutes });
+        cache?.targets.set(key, targets);
+        return targets;
+    }
+    
+    // 1回の移動にかかった時間を記録（startはperformance.now()）
+    recordMoveCost(start, targets) {
+        const stats = this.gestureCache?.stats;
+        if (!this.benchmarkMode || !stats) return;
+        
+        const cost = performance.now() - start;
+        stats.moves++;
+        stats.total += cost;
+        stats.max = Math.max(stats.max, cost);
+        stats.items = targets.nodes.size + targets.groups.size + targets.reroutes.size;
+    }
+    
+    // グループ内のリルートポイント
+    getReroutesInGroup(group) {
+        const [gx, gy, gw, gh] = this.getGroupBounds(group);
+        return this.getGraphReroutes().filter(({ pos: [x, y] }) => x >= gx && x <= gx + gw && y >= gy && y <= gy + gh);
+    }
+    
     // グループ内のノードを取得
     getNodesInGroup(group) {
         return group._nodes || group.nodes || [];
@@ -139,6 +559,7 @@ class MovementManager {
         const childGroups = [];
         
         children.forEach(child => {
+            if (!this.isInCurrentGraph(child)) return;
             if (child instanceof LGraphGroup || (child.constructor && child.constructor.name === 'LGraphGroup')) {
                 childGroups.push(child);
             }
@@ -184,277 +605,2479 @@ class MovementManager {
         return allGroups;
     }
     
-    moveElements(dx, dy) {
-        const { nodes, groups } = this.getSelectedElements();
-        
-        if (nodes.length === 0 && groups.length === 0) return false;
-        
-        // 選択されたノード（直接選択）
-        const selectedNodes = new Set(nodes);
+    // 移動対象を収集（直接選択されたノード + 選択グループとその配下のグループ・ノード・リルート）
+    // chain: リンクでつながったノードも含める
+    // reroutes: 直接選択されたリルート
+    // ピン留め・ロックされたものは移動対象に含めずskippedに入れる
+    //（選択したグループ自体が固定されている場合は配下も動かさない）
+    collectMoveTargets(nodes, groups, { chain = false, reroutes = [] } = {}) {
+        const targetNodes = new Set();
+        const targetGroups = new Set();
+        const targetReroutes = new Set(reroutes);
+        const skipped = new Set();
         
-        // 選択されたグループとその中のノードを処理
-        const processedGroups = new Set();
-        const groupNodes = new Set();
+        const addNode = node => {
+            if (this.isPinned(node)) skipped.add(node);
+            else targetNodes.add(node);
+        };
+        nodes.forEach(addNode);
         
         groups.forEach(group => {
+            if (this.isPinned(group)) {
+                skipped.add(group);
+                return;
+            }
+            
             const allGroups = this.getAllGroupsRecursive(group);
             allGroups.forEach(g => {
-                if (!processedGroups.has(g)) {
-                    // グループを移動
-                    g.pos[0] += dx;
-                    g.pos[1] += dy;
-                    processedGroups.add(g);
-                    
-                    // グループ内のノードも移動対象に追加
-                    const nodesInGroup = this.getAllNodesInGroupRecursive(g);
-                    nodesInGroup.forEach(node => groupNodes.add(node));
-                }
+                if (targetGroups.has(g) || skipped.has(g)) return;
+                if (this.isPinned(g)) skipped.add(g);
+                else targetGroups.add(g);
+                
+                // グループ内のノード・リルートも移動対象に追加
+                const nodesInGroup = this.getAllNodesInGroupRecursive(g);
+                nodesInGroup.forEach(addNode);
+                this.getReroutesInGroup(g).forEach(reroute => targetReroutes.add(reroute));
             });
         });
         
-        // 直接選択されたノードを移動
-        selectedNodes.forEach(node => {
-            node.pos[0] += dx;
-            node.pos[1] += dy;
-        });
+        if (chain) {
+            this.collectChainNodes(targetNodes).forEach(addNode);
+        }
         
-        // グループ内のノードを移動（直接選択されていないもののみ）
-        groupNodes.forEach(node => {
-            if (!selectedNodes.has(node)) {
-                node.pos[0] += dx;
-                node.pos[1] += dy;
-            }
-        });
+        return { nodes: targetNodes, groups: targetGroups, reroutes: targetReroutes, skipped };
+    }
+    
+    // スキップしたノード・グループの数を通知（連続した操作では間隔を空ける）
+    reportSkippedItems(skipped) {
+        if (!skipped || skipped.size === 0) return;
         
-        // 選択オーバーレイも同期
-        this.updateSelectionOverlay(dx, dy);
+        const now = Date.now();
+        if (now - this.lastSkipNoticeTime < SKIP_NOTICE_INTERVAL) return;
+        this.lastSkipNoticeTime = now;
         
-        // キャンバス更新
-        app.canvas.setDirty(true, true);
-        return true;
+        const count = skipped.size;
+        this.showNotice(`Skipped ${count} pinned or locked item${count === 1 ? '' : 's'}`);
     }
     
-    // 従来のmoveNodesメソッドを維持（後方互換性のため）
-    moveNodes(dx, dy) {
-        return this.moveElements(dx, dy);
+    showNotice(detail) {
+        if (app.extensionManager?.toast) {
+            app.extensionManager.toast.add({ severity: 'info', summary: 'Linear Move', detail, life: 3000 });
+        } else {
+            console.warn(`[LinearMove] ${detail}`);
+        }
     }
     
-    // ===============================================
-    // キーボード移動機能
-    // ===============================================
-    handleKeyDown(e) {
-        const arrowKeys = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+    // リンクでつながったノードを上流・下流へたどる（chainHopsが0なら無制限）
+    collectChainNodes(startNodes) {
+        const maxHops = this.chainHops > 0 ? this.chainHops : Infinity;
+        const visited = new Set(startNodes);
+        let frontier = [...startNodes];
         
-        // 早期リターン条件をまとめて処理
-        if (!arrowKeys.includes(e.key) || 
-            !this.enableArrowMove || 
-            !this.canNodeMove()) {
-            return;
+        for (let hop = 0; hop < maxHops && frontier.length > 0; hop++) {
+            const next = [];
+            frontier.forEach(node => {
+                this.getLinkedNodes(node).forEach(linked => {
+                    if (visited.has(linked) || !this.isInCurrentGraph(linked)) return;
+                    visited.add(linked);
+                    next.push(linked);
+                });
+            });
+            frontier = next;
         }
         
-        const { nodes, groups } = this.getSelectedElements();
-        if (nodes.length === 0 && groups.length === 0) {
-            return;
-        }
+        return visited;
+    }
+    
+    getLinkedNodes(node) {
+        const linked = [];
         
-        // イベント停止
-        e.preventDefault();
-        e.stopPropagation();
-        e.stopImmediatePropagation();
-
-        // 移動量の決定
-        let step = this.moveSteps;
-        if (e.shiftKey) step = this.moveStepsShift;
-        else if (e.ctrlKey || e.metaKey) step = this.moveStepsCtrl;
-
-        // 方向別の移動処理
-        const movements = {
-            'ArrowUp': [0, -step],
-            'ArrowDown': [0, step],
-            'ArrowLeft': [-step, 0],
-            'ArrowRight': [step, 0]
-        };
+        if (this.chainDirection !== 'downstream') {
+            node.inputs?.forEach((input, slot) => {
+                const inputNode = node.getInputNode?.(slot);
+                if (inputNode) linked.push(inputNode);
+            });
+        }
+        if (this.chainDirection !== 'upstream') {
+            node.outputs?.forEach((output, slot) => {
+                linked.push(...(node.getOutputNodes?.(slot) ?? []));
+            });
+        }
         
-        const [dx, dy] = movements[e.key];
-        this.moveElements(dx, dy);
+        return linked;
     }
     
-    handleShiftKeyUp(e) {
-        if (e.key === 'Shift' && this.shiftDragState.active) {
-            this.endShiftDrag();
-        }
+    // 移動対象それぞれの外接矩形
+    getTargetBounds(targets) {
+        return [
+            ...[...targets.nodes].map(node => this.getNodeBounds(node)),
+            ...[...targets.groups].map(group => this.getGroupBounds(group)),
+            ...[...targets.reroutes].map(reroute => this.getRerouteBounds(reroute))
+        ];
     }
     
     // ===============================================
-    // Shift+ドラッグ制限機能
+    // レイアウトのスナップショット
     // ===============================================
-    handlePointerDown(e) {
-        const { nodes, groups } = this.getSelectedElements();
-        groups.forEach(group => group?.recomputeInsideNodes()); // 選択したグループの内部を再計算
-        if (e.shiftKey && (nodes.length > 0 || groups.length > 0)) {
-            this.startShiftDrag(e);
-        }
+    // ワークフローと一緒に保存されるよう、ルートグラフのextraに保存する
+    // サブグラフのスナップショットはgraphIdで区別
+    getSnapshotStore() {
+        const rootGraph = app.graph;
+        if (!rootGraph) return [];
+        rootGraph.extra ??= {};
+        rootGraph.extra[SNAPSHOT_EXTRA_KEY] ??= [];
+        return rootGraph.extra[SNAPSHOT_EXTRA_KEY];
     }
     
-    handlePointerMove(e) {
-        if (this.shiftDragState.active) {
-            this.processShiftDrag(e);
-        }
+    getCurrentGraphId() {
+        const graph = app.canvas.graph;
+        return graph && graph !== app.graph ? graph.id ?? null : null;
     }
     
-    handlePointerUp(e) {
-        if (this.shiftDragState.active) {
-            this.endShiftDrag();
-        }
+    // 表示中の階層のスナップショット
+    getSnapshots() {
+        const graphId = this.getCurrentGraphId();
+        return this.getSnapshotStore().filter(snapshot => (snapshot.graphId ?? null) === graphId);
     }
     
-    startShiftDrag(e) {
-        const state = this.shiftDragState;
-        const { nodes, groups } = this.getSelectedElements();
+    getSnapshot(name) {
+        return this.getSnapshots().find(snapshot => snapshot.name === name) ?? null;
+    }
+    
+    // グループのidがない古いLiteGraphでは並び順で識別
+    getGroupKey(group) {
+        return group.id ?? this.getGraphGroups().indexOf(group);
+    }
+    
+    // selectionOnly: 選択（配下・リルートを含む）のみ保存
+    saveSnapshot(name, selectionOnly = false) {
+        let nodes = this.getGraphNodes();
+        let groups = this.getGraphGroups();
+        let reroutes = this.getGraphReroutes();
+        if (selectionOnly) {
+            const selected = this.getSelectedElements();
+            const targets = this.collectMoveTargets(selected.nodes, selected.groups, { reroutes: selected.reroutes });
+            nodes = [...targets.nodes, ...[...targets.skipped].filter(item => item instanceof LGraphNode)];
+            groups = [...targets.groups, ...[...targets.skipped].filter(item => item instanceof LGraphGroup)];
+            reroutes = [...targets.reroutes];
+        }
+        if (nodes.length === 0 && groups.length === 0 && reroutes.length === 0) return false;
         
-        state.active = true;
-        state.direction = null;
-        state.startMouse = { x: e.clientX, y: e.clientY };
+        const snapshot = {
+            name,
+            graphId: this.getCurrentGraphId(),
+            createdAt: new Date().toISOString(),
+            nodes: nodes.map(node => ({ id: node.id, pos: [node.pos[0], node.pos[1]] })),
+            groups: groups.map(group => ({
+                id: this.getGroupKey(group),
+                pos: [group.pos[0], group.pos[1]],
+                size: [group.size[0], group.size[1]]
+            })),
+            reroutes: reroutes.map(reroute => ({ id: reroute.id, pos: [reroute.pos[0], reroute.pos[1]] }))
+        };
         
-        // 選択されたノード（直接選択）の開始位置を記録
-        state.nodeStartPositions.clear();
-        const selectedNodes = new Set(nodes);
-        nodes.forEach(node => {
-            state.nodeStartPositions.set(node, { x: node.pos[0], y: node.pos[1] });
-        });
+        // 同じ名前のスナップショットは上書き
+        this.beginChange('command');
+        const store = this.getSnapshotStore();
+        const index = store.findIndex(existing => existing.name === name && (existing.graphId ?? null) === snapshot.graphId);
+        if (index >= 0) store.splice(index, 1, snapshot);
+        else store.push(snapshot);
+        this.endChange('command');
+        return true;
+    }
+    
+    deleteSnapshot(name) {
+        const snapshot = this.getSnapshot(name);
+        if (!snapshot) return false;
         
-        // グループの開始位置を記録
-        state.groupStartPositions.clear();
-        const processedGroups = new Set();
-        const groupNodes = new Set();
+        if (this.comparingSnapshot === name) this.stopComparingSnapshot();
         
-        groups.forEach(group => {
-            const allGroups = this.getAllGroupsRecursive(group);
-            allGroups.forEach(g => {
-                if (!processedGroups.has(g)) {
-                    state.groupStartPositions.set(g, { x: g.pos[0], y: g.pos[1] });
-                    processedGroups.add(g);
-                    
-                    // グループ内のノードの開始位置も記録
-                    const nodesInGroup = this.getAllNodesInGroupRecursive(g);
-                    nodesInGroup.forEach(node => {
-                        if (!selectedNodes.has(node) && !state.nodeStartPositions.has(node)) {
-                            state.nodeStartPositions.set(node, { x: node.pos[0], y: node.pos[1] });
-                            groupNodes.add(node);
-                        }
-                    });
-                }
-            });
+        this.beginChange('command');
+        const store = this.getSnapshotStore();
+        store.splice(store.indexOf(snapshot), 1);
+        this.endChange('command');
+        return true;
+    }
+    
+    // スナップショットの要素と現在の要素の対応 [{ item, kind, pos, size }]
+    // 削除されたノード・グループは含めない
+    resolveSnapshotItems(snapshot) {
+        const graph = app.canvas.graph;
+        const groups = this.getGraphGroups();
+        const reroutes = this.getGraphReroutes();
+        
+        const items = [];
+        snapshot.nodes.forEach(({ id, pos }) => {
+            const node = graph?.getNodeById?.(id) ?? this.getGraphNodes().find(n => n.id === id);
+            if (node) items.push({ item: node, kind: 'node', pos });
         });
+        snapshot.groups.forEach(({ id, pos, size }) => {
+            const group = groups.find(g => this.getGroupKey(g) === id);
+            if (group) items.push({ item: group, kind: 'group', pos, size });
+        });
+        snapshot.reroutes.forEach(({ id, pos }) => {
+            const reroute = reroutes.find(r => r.id === id);
+            if (reroute) items.push({ item: reroute, kind: 'reroute', pos });
+        });
+        return items;
     }
     
-    processShiftDrag(e) {
-        const state = this.shiftDragState;
-        const deltaX = e.clientX - state.startMouse.x;
-        const deltaY = e.clientY - state.startMouse.y;
+    // 保存した位置へアニメーションしながら戻す（ピン留めされたものは動かさない）
+    restoreSnapshot(name) {
+        const snapshot = this.getSnapshot(name);
+        if (!snapshot) return false;
         
-        // 方向決定
-        if (!state.direction) {
-            const absX = Math.abs(deltaX);
-            const absY = Math.abs(deltaY);
+        this.finishSnapshotTransition();
+        
+        const skipped = new Set();
+        const moves = [];
+        this.resolveSnapshotItems(snapshot).forEach(({ item, kind, pos, size }) => {
+            if (this.isPinned(item)) {
+                skipped.add(item);
+                return;
+            }
             
-            if (absX > state.threshold || absY > state.threshold) {
-                state.direction = absX > absY ? 'horizontal' : 'vertical';
+            const targets = {
+                nodes: new Set(kind === 'node' ? [item] : []),
+                groups: new Set(kind === 'group' ? [item] : []),
+                reroutes: new Set(kind === 'reroute' ? [item] : [])
+            };
+            const dx = pos[0] - item.pos[0];
+            const dy = pos[1] - item.pos[1];
+            const resize = size && (size[0] !== item.size[0] || size[1] !== item.size[1]);
+            if (dx !== 0 || dy !== 0 || resize) {
+                moves.push({ item, targets, dx, dy, size, applied: 0 });
             }
-        }
+        });
+        this.reportSkippedItems(skipped);
+        if (moves.length === 0) return false;
         
-        // 制約の適用
-        if (state.direction) {
-            this.applyMovementConstraint();
-            // グループ移動時は、グループ内のノードも制約を適用する必要がある
-            this.synchronizeGroupNodes();
-        }
+        this.beginChange('snapshot');
+        this.snapshotTransition = { moves, startTime: null, frame: null };
+        this.snapshotTransition.frame = requestAnimationFrame(time => this.stepSnapshotTransition(time));
+        return true;
     }
     
-    applyMovementConstraint() {
-        const state = this.shiftDragState;
-        let constraintApplied = false;
+    stepSnapshotTransition(time) {
+        const transition = this.snapshotTransition;
+        if (!transition) return;
         
-        // 全ノード（直接選択 + グループ内）の制約適用
-        state.nodeStartPositions.forEach((startPos, node) => {
-            if (state.direction === 'horizontal' && node.pos[1] !== startPos.y) {
-                node.pos[1] = startPos.y;
-                constraintApplied = true;
-            } else if (state.direction === 'vertical' && node.pos[0] !== startPos.x) {
-                node.pos[0] = startPos.x;
-                constraintApplied = true;
-            }
+        transition.startTime ??= time;
+        const t = Math.min(1, (time - transition.startTime) / SNAPSHOT_TRANSITION_DURATION);
+        this.applySnapshotTransition(t);
+        
+        if (t >= 1) {
+            this.finishSnapshotTransition();
+            return;
+        }
+        transition.frame = requestAnimationFrame(next => this.stepSnapshotTransition(next));
+    }
+    
+    // t: 0〜1（ease-in-out）
+    applySnapshotTransition(t) {
+        const progress = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+        this.snapshotTransition.moves.forEach(move => {
+            const delta = progress - move.applied;
+            if (delta === 0) return;
+            this.translateElements(move.targets, move.dx * delta, move.dy * delta);
+            move.applied = progress;
         });
+        app.canvas.setDirty(true, true);
+    }
+    
+    // 残りを移動してグループのサイズと所属を反映
+    finishSnapshotTransition() {
+        const transition = this.snapshotTransition;
+        if (!transition) return;
         
-        // グループの制約適用
-        state.groupStartPositions.forEach((startPos, group) => {
-            if (state.direction === 'horizontal' && group.pos[1] !== startPos.y) {
-                group.pos[1] = startPos.y;
-                constraintApplied = true;
-            } else if (state.direction === 'vertical' && group.pos[0] !== startPos.x) {
-                group.pos[0] = startPos.x;
-                constraintApplied = true;
-            }
+        cancelAnimationFrame(transition.frame);
+        this.applySnapshotTransition(1);
+        transition.moves.forEach(({ item, size }) => {
+            if (!size) return;
+            item.size[0] = size[0];
+            item.size[1] = size[1];
         });
+        this.getGraphGroups().forEach(group => group.recomputeInsideNodes?.());
         
-        if (constraintApplied) {
-            app.canvas.setDirty(true, true);
-        }
+        this.snapshotTransition = null;
+        this.endChange('snapshot');
     }
     
-    // グループ移動時にグループ内のノードを同期
-    synchronizeGroupNodes() {
-        const state = this.shiftDragState;
-        const { groups } = this.getSelectedElements();
-        let syncApplied = false;
+    // 比較表示: スナップショットの位置を点線で表示し、現在位置と線でつなぐ
+    compareSnapshot(name) {
+        const snapshot = this.getSnapshot(name);
+        if (!snapshot) return 0;
         
-        groups.forEach(group => {
-            const allGroups = this.getAllGroupsRecursive(group);
-            allGroups.forEach(g => {
-                const groupStartPos = state.groupStartPositions.get(g);
-                if (!groupStartPos) return;
-                
-                // グループの現在の移動量を計算
-                const groupDeltaX = g.pos[0] - groupStartPos.x;
-                const groupDeltaY = g.pos[1] - groupStartPos.y;
-                
-                // グループ内のノードを同期
-                const nodesInGroup = this.getAllNodesInGroupRecursive(g);
-                nodesInGroup.forEach(node => {
-                    const nodeStartPos = state.nodeStartPositions.get(node);
-                    if (!nodeStartPos) return;
-                    
-                    // グループの移動量に合わせてノードを移動
-                    const expectedNodeX = nodeStartPos.x + groupDeltaX;
-                    const expectedNodeY = nodeStartPos.y + groupDeltaY;
-                    
-                    if (node.pos[0] !== expectedNodeX || node.pos[1] !== expectedNodeY) {
-                        node.pos[0] = expectedNodeX;
-                        node.pos[1] = expectedNodeY;
-                        syncApplied = true;
-                    }
-                });
-            });
-        });
+        this.comparingSnapshot = name;
+        app.canvas.setDirty(true, true);
         
-        if (syncApplied) {
-            app.canvas.setDirty(true, true);
-        }
+        const count = this.getSnapshotDifferences(snapshot).length;
+        this.showNotice(`${count} item${count === 1 ? '' : 's'} moved since "${name}"`);
+        return count;
     }
     
-    endShiftDrag() {
-        this.resetShiftDrag();
+    stopComparingSnapshot() {
+        this.comparingSnapshot = null;
+        app.canvas.setDirty(true, true);
     }
     
-    resetShiftDrag() {
-        const state = this.shiftDragState;
-        state.active = false;
-        state.direction = null;
-        state.nodeStartPositions.clear();
-        state.groupStartPositions.clear();
+    // 保存時から位置・サイズが変わった要素 [{ bounds: 現在, savedBounds: 保存時 }]
+    getSnapshotDifferences(snapshot) {
+        const differences = [];
+        this.resolveSnapshotItems(snapshot).forEach(({ item, kind, pos, size }) => {
+            const dx = pos[0] - item.pos[0];
+            const dy = pos[1] - item.pos[1];
+            const resized = size && (size[0] !== item.size[0] || size[1] !== item.size[1]);
+            if (dx === 0 && dy === 0 && !resized) return;
+            
+            const bounds = kind === 'node' ? this.getNodeBounds(item)
+                : kind === 'group' ? this.getGroupBounds(item)
+                : this.getRerouteBounds(item);
+            const savedBounds = [bounds[0] + dx, bounds[1] + dy, size?.[0] ?? bounds[2], size?.[1] ?? bounds[3]];
+            differences.push({ bounds, savedBounds });
+        });
+        return differences;
     }
     
-    // ===============================================
+    drawSnapshotComparison(ctx) {
+        if (!this.comparingSnapshot) return;
+        const snapshot = this.getSnapshot(this.comparingSnapshot);
+        if (!snapshot) return;
+        
+        const scale = app.canvas.ds?.scale || 1;
+        ctx.save();
+        ctx.strokeStyle = SNAPSHOT_COMPARE_COLOR;
+        ctx.lineWidth = 2 / scale;
+        this.getSnapshotDifferences(snapshot).forEach(({ bounds, savedBounds }) => {
+            ctx.setLineDash([6 / scale, 4 / scale]);
+            ctx.strokeRect(...savedBounds);
+            
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(bounds[0], bounds[1]);
+            ctx.lineTo(savedBounds[0], savedBounds[1]);
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+    
+    // ===============================================
+    // 計測表示
+    // ===============================================
+    // 移動前に呼ばれる（開始位置は連打の最初の移動前の基準点）
+    updateArrowMeasurement(targets, dx, dy) {
+        if (!this.enableMeasurementHud || this.shiftDragState.active) return;
+        
+        if (!this.arrowMeasurement) {
+            this.arrowMeasurement = { start: this.getAnchor(targets), axis: null, targets };
+        }
+        this.arrowMeasurement.targets = targets;
+        this.arrowMeasurement.axis = dy === 0 ? 'horizontal' : dx === 0 ? 'vertical' : 'free';
+    }
+    
+    endArrowMeasurement() {
+        if (!this.arrowMeasurement) return;
+        this.arrowMeasurement = null;
+        app.canvas.setDirty(true, true);
+    }
+    
+    // ドラッグ開始位置からの移動量（nodeStartPositionsの最初の要素を基準にする）
+    getDragOffset() {
+        const state = this.shiftDragState;
+        const [item, start] = state.nodeStartPositions.entries().next().value
+            ?? state.groupStartPositions.entries().next().value
+            ?? state.rerouteStartPositions.entries().next().value
+            ?? [];
+        if (!item) return null;
+        return { x: item.pos[0] - start.x, y: item.pos[1] - start.y };
+    }
+    
+    // 表示する計測値 { axis, offset, anchor, bounds, targets }
+    getMeasurement() {
+        if (!this.enableMeasurementHud) return null;
+        
+        const state = this.shiftDragState;
+        if (state.active) {
+            const offset = state.direction ? this.getDragOffset() : null;
+            if (!offset || !state.targets) return null;
+            return { axis: state.direction, offset, targets: state.targets };
+        }
+        
+        const measurement = this.arrowMeasurement;
+        if (!measurement) return null;
+        const anchor = this.getAnchor(measurement.targets);
+        return {
+            axis: measurement.axis,
+            offset: { x: anchor.x - measurement.start.x, y: anchor.y - measurement.start.y },
+            targets: measurement.targets
+        };
+    }
+    
+    // 移動対象以外で最も近いノード・グループとの隙間
+    getNeighborGap(targets, bounds) {
+        const others = [
+            ...this.getGraphNodes().filter(node => !targets.nodes.has(node)).map(node => this.getNodeBounds(node)),
+            ...this.getGraphGroups().filter(group => !targets.groups.has(group)).map(group => this.getGroupBounds(group))
+                .filter(([x, y, w, h]) => !(x <= bounds[0] && y <= bounds[1] && x + w >= bounds[0] + bounds[2] && y + h >= bounds[1] + bounds[3]))
+        ];
+        
+        let nearest = null;
+        let minDistance = Infinity;
+        others.forEach(other => {
+            const gap = getBoundsGap(bounds, other);
+            const distance = Math.hypot(gap[0], gap[1]);
+            if (distance < minDistance) {
+                minDistance = distance;
+                nearest = gap;
+            }
+        });
+        return nearest;
+    }
+    
+    // 選択範囲の左上に計測値を表示（画面上で一定の大きさ）
+    drawMeasurementHud(ctx) {
+        const measurement = this.getMeasurement();
+        if (!measurement) return;
+        
+        const { axis, offset, targets } = measurement;
+        const targetBounds = this.getTargetBounds(targets);
+        if (targetBounds.length === 0) return;
+        
+        const bounds = unionBounds(targetBounds);
+        const anchor = this.getAnchor(targets);
+        const round = value => Math.round(value * 10) / 10;
+        const lines = [
+            `Axis: ${axis ?? 'free'}`,
+            `dx: ${round(offset.x)}  dy: ${round(offset.y)}`,
+            `x: ${round(anchor.x)}  y: ${round(anchor.y)}`
+        ];
+        if (this.showNeighborDistance) {
+            const gap = this.getNeighborGap(targets, bounds);
+            if (gap) lines.push(`Nearest gap: x ${round(gap[0])}  y ${round(gap[1])}`);
+        }
+        
+        const scale = app.canvas.ds?.scale || 1;
+        const fontSize = HUD_FONT_SIZE / scale;
+        const padding = HUD_PADDING / scale;
+        const lineHeight = fontSize * 1.3;
+        
+        ctx.save();
+        ctx.font = `${fontSize}px monospace`;
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + padding * 2;
+        const height = lineHeight * lines.length + padding * 2;
+        const x = bounds[0];
+        const y = bounds[1] - height - HUD_OFFSET / scale;
+        
+        ctx.fillStyle = "rgba(0, 0, 0, 0.75)";
+        ctx.fillRect(x, y, width, height);
+        ctx.fillStyle = "#ffffff";
+        ctx.textAlign = "left";
+        ctx.textBaseline = "top";
+        lines.forEach((line, index) => {
+            ctx.fillText(line, x + padding, y + padding + lineHeight * index);
+        });
+        ctx.restore();
+    }
+    
+    // ===============================================
+    // グループの所属更新
+    // ===============================================
+    // 矢印キー移動のたびに呼ばれる（所属の確定は連打が終わってから）
+    handleGroupMembership(targets) {
+        if (this.enableGroupAutoExpand) {
+            this.expandGroupsToFit(targets);
+        }
+        
+        if (this.enableGroupMembershipUpdate && !this.shiftDragState.active) {
+            if (this.arrowMoveTargets) {
+                targets.nodes.forEach(node => this.arrowMoveTargets.nodes.add(node));
+                targets.groups.forEach(group => this.arrowMoveTargets.groups.add(group));
+            } else {
+                this.arrowMoveTargets = { nodes: new Set(targets.nodes), groups: new Set(targets.groups) };
+            }
+            this.updateMembershipHints(this.arrowMoveTargets);
+        }
+    }
+    
+    // グループと一緒に動いているのではなく、単独で動いているノード
+    getFreeMovingNodes(targets) {
+        const nodesInMovingGroups = new Set();
+        targets.groups.forEach(group => {
+            this.getNodesInGroup(group).forEach(node => nodesInMovingGroups.add(node));
+        });
+        return [...targets.nodes].filter(node => !nodesInMovingGroups.has(node));
+    }
+    
+    // 最も内側（面積が最小）のグループ
+    getInnermostGroup(groups) {
+        let innermost = null;
+        let minArea = Infinity;
+        groups.forEach(group => {
+            const area = group.size[0] * group.size[1];
+            if (area < minArea) {
+                innermost = group;
+                minArea = area;
+            }
+        });
+        return innermost;
+    }
+    
+    // 現在所属しているグループ（所属は操作の終わりまで変わらないのでキャッシュ）
+    getMemberGroup(node) {
+        const cache = this.gestureCache;
+        const memberGroups = cache?.memberGroups ?? this.getMemberGroupMap();
+        if (cache) cache.memberGroups = memberGroups;
+        return memberGroups.get(node) ?? null;
+    }
+    
+    // ノード → 所属している最も内側のグループ
+    getMemberGroupMap() {
+        const memberGroups = new Map();
+        const area = group => group.size[0] * group.size[1];
+        this.getGraphGroups().forEach(group => {
+            this.getNodesInGroup(group).forEach(node => {
+                const current = memberGroups.get(node);
+                if (!current || area(group) < area(current)) memberGroups.set(node, group);
+            });
+        });
+        return memberGroups;
+    }
+    
+    // 再計算後に所属するグループ（ノードの中心を含むグループ）
+    getGroupAtNode(node, excludeGroups) {
+        const [x, y, w, h] = this.getNodeBounds(node);
+        const centerX = x + w / 2;
+        const centerY = y + h / 2;
+        
+        return this.getInnermostGroup(this.getGraphGroups().filter(group => {
+            if (excludeGroups.has(group)) return false;
+            const [gx, gy, gw, gh] = this.getGroupBounds(group);
+            return centerX >= gx && centerX <= gx + gw && centerY >= gy && centerY <= gy + gh;
+        }));
+    }
+    
+    // 所属が変わるノードのヒントを更新
+    updateMembershipHints(targets) {
+        const hadHints = this.membershipHints.length > 0;
+        this.membershipHints = [];
+        
+        if (this.enableGroupMembershipUpdate && targets) {
+            this.getFreeMovingNodes(targets).forEach(node => {
+                const before = this.getMemberGroup(node);
+                const after = this.getGroupAtNode(node, targets.groups);
+                if (before === after) return;
+                
+                if (after) this.membershipHints.push({ group: after, type: 'enter' });
+                if (before) this.membershipHints.push({ group: before, type: 'leave' });
+            });
+        }
+        
+        if (hadHints || this.membershipHints.length > 0) {
+            app.canvas.setDirty(true, true);
+        }
+    }
+    
+    // 所属しているグループの端からはみ出したノードに合わせてグループを広げる
+    // ノードの中心がグループの外に出た場合は、グループから出たものとして扱う
+    expandGroupsToFit(targets) {
+        this.getFreeMovingNodes(targets).forEach(node => {
+            const group = this.getMemberGroup(node);
+            if (!group || targets.groups.has(group)) return;
+            if (this.getGroupAtNode(node, targets.groups) !== group) return;
+            
+            const [nx, ny, nw, nh] = this.getNodeBounds(node);
+            const [gx, gy, gw, gh] = this.getGroupBounds(group);
+            const titleHeight = group.titleHeight ?? LiteGraph.NODE_TITLE_HEIGHT;
+            
+            const left = Math.min(gx, nx - GROUP_PADDING);
+            const top = Math.min(gy, ny - GROUP_PADDING - titleHeight);
+            const right = Math.max(gx + gw, nx + nw + GROUP_PADDING);
+            const bottom = Math.max(gy + gh, ny + nh + GROUP_PADDING);
+            if (left === gx && top === gy && right === gx + gw && bottom === gy + gh) return;
+            
+            // メンバーは動かさずに枠だけ変更
+            group.pos[0] = left;
+            group.pos[1] = top;
+            group.size[0] = right - left;
+            group.size[1] = bottom - top;
+        });
+    }
+    
+    // 矢印キー・スムーズ移動が終わったら所属を確定
+    commitArrowGroupMembership() {
+        if (!this.arrowMoveTargets) return;
+        this.arrowMoveTargets = null;
+        this.applyGroupMembership();
+    }
+    
+    // 移動後の位置でグループの所属を再計算
+    applyGroupMembership() {
+        if (this.enableGroupMembershipUpdate) {
+            this.getGraphGroups().forEach(group => group.recomputeInsideNodes?.());
+            this.invalidateGestureCache();
+        }
+        
+        if (this.membershipHints.length > 0) {
+            this.membershipHints = [];
+            app.canvas.setDirty(true, true);
+        }
+    }
+    
+    // ===============================================
+    // 押し出し・衝突停止
+    // ===============================================
+    // 移動対象以外を「一緒に動く単位」に分ける
+    // 移動対象を含まないグループは中身ごと1つの単位、それ以外のノードはそれぞれ1つの単位
+    // 移動対象を含むグループ（移動対象の外枠）は障害物にしない
+    getCollisionUnits(targets) {
+        const containers = new Set();
+        const blocks = [];
+        
+        this.getGraphGroups().forEach(group => {
+            if (targets.groups.has(group)) return;
+            
+            const contents = this.collectMoveTargets([], [group]);
+            const containsMover = [...contents.nodes].some(node => targets.nodes.has(node)) ||
+                                  [...contents.groups].some(g => targets.groups.has(g));
+            if (containsMover) containers.add(group);
+            else blocks.push({ group, contents });
+        });
+        
+        // 他のグループに含まれるグループは親の単位に含める
+        const nestedGroups = new Set();
+        blocks.forEach(({ group, contents }) => {
+            contents.groups.forEach(g => {
+                if (g !== group) nestedGroups.add(g);
+            });
+        });
+        
+        // 固定されたものを含む単位は押し出さない（pinned）
+        const units = [];
+        const coveredNodes = new Set();
+        blocks.filter(({ group }) => !nestedGroups.has(group)).forEach(({ group, contents }) => {
+            contents.nodes.forEach(node => coveredNodes.add(node));
+            contents.skipped.forEach(item => coveredNodes.add(item));
+            units.push({ group, targets: contents, bounds: this.getGroupBounds(group), pinned: contents.skipped.size > 0 });
+        });
+        
+        this.getGraphNodes().forEach(node => {
+            if (targets.nodes.has(node) || coveredNodes.has(node)) return;
+            const pinned = this.isPinned(node);
+            units.push({
+                node,
+                targets: { nodes: new Set(pinned ? [] : [node]), groups: new Set(), reroutes: new Set() },
+                bounds: this.getNodeBounds(node),
+                pinned
+            });
+        });
+        
+        return units;
+    }
+    
+    // 単位の構成は操作中キャッシュし、位置（外接矩形）だけ毎回取り直す
+    getCachedCollisionUnits(targets) {
+        const cache = this.gestureCache;
+        let units = cache?.collisionUnits.get(targets);
+        if (!units) {
+            units = this.getCollisionUnits(targets);
+            cache?.collisionUnits.set(targets, units);
+            return units;
+        }
+        
+        units.forEach(unit => {
+            unit.bounds = unit.group ? this.getGroupBounds(unit.group) : this.getNodeBounds(unit.node);
+        });
+        return units;
+    }
+    
+    // 収集済みの移動対象を平行移動
+    translateElements(targets, dx, dy) {
+        targets.groups.forEach(group => {
+            group.pos[0] += dx;
+            group.pos[1] += dy;
+        });
+        
+        targets.nodes.forEach(node => {
+            node.pos[0] += dx;
+            node.pos[1] += dy;
+        });
+        
+        targets.reroutes.forEach(reroute => {
+            reroute.pos[0] += dx;
+            reroute.pos[1] += dy;
+        });
+    }
+    
+    // elements: 選択の代わりに移動する { nodes, groups, reroutes }
+    // source: イベントに渡す移動の種類（'keyboard' | 'api' など）
+    moveElements(dx, dy, options = {}) {
+        const { elements, source = 'keyboard', ...collectOptions } = options;
+        const { nodes = [], groups = [], reroutes = [] } = elements ?? this.getSelectedElements();
+        
+        if (nodes.length === 0 && groups.length === 0 && reroutes.length === 0) return false;
+        
+        const start = performance.now();
+        const targets = elements
+            ? this.collectMoveTargets(nodes, groups, { ...collectOptions, reroutes })
+            : this.getSelectedMoveTargets(collectOptions);
+        this.reportSkippedItems(targets.skipped);
+        if (targets.nodes.size === 0 && targets.groups.size === 0 && targets.reroutes.size === 0) return false;
+        
+        // 1軸方向の移動のみ衝突を処理
+        if (this.collisionMode !== 'off' && (dx === 0) !== (dy === 0)) {
+            const units = this.getCachedCollisionUnits(targets);
+            const axis = dx !== 0 ? 0 : 1;
+            const result = resolveAxisCollisions(
+                this.getTargetBounds(targets), units.map(unit => unit.bounds),
+                axis, axis === 0 ? dx : dy, this.collisionMode, COLLISION_GAP,
+                units.map(unit => unit.pinned)
+            );
+            
+            if (axis === 0) dx = result.delta;
+            else dy = result.delta;
+            if (dx === 0 && dy === 0) return false;
+            if (!this.dispatchMoveEvent('beforeMove', targets, dx, dy, source)) return false;
+            
+            result.offsets.forEach((offset, index) => {
+                if (offset === 0) return;
+                if (axis === 0) this.translateElements(units[index].targets, offset, 0);
+                else this.translateElements(units[index].targets, 0, offset);
+            });
+        } else if (!this.dispatchMoveEvent('beforeMove', targets, dx, dy, source)) {
+            return false;
+        }
+        
+        this.updateArrowMeasurement(targets, dx, dy);
+        this.translateElements(targets, dx, dy);
+        this.handleGroupMembership(targets);
+        
+        // 選択オーバーレイも同期
+        if (!elements) this.updateSelectionOverlay(dx, dy);
+        
+        // キャンバス更新
+        app.canvas.setDirty(true, true);
+        this.recordMoveCost(start, targets);
+        this.dispatchMoveEvent('afterMove', targets, dx, dy, source);
+        return true;
+    }
+    
+    // beforeMoveはpreventDefault()で取り消せる（取り消された場合はfalse）
+    dispatchMoveEvent(type, targets, dx, dy, source) {
+        return this.events.dispatchEvent(new CustomEvent(type, {
+            cancelable: type === 'beforeMove',
+            detail: {
+                nodes: [...targets.nodes],
+                groups: [...targets.groups],
+                reroutes: [...targets.reroutes],
+                dx,
+                dy,
+                source
+            }
+        }));
+    }
+    
+    // ===============================================
+    // グリッド吸着
+    // ===============================================
+    getGridSize() {
+        return this.gridSize > 0 ? this.gridSize : (LiteGraph.CANVAS_GRID_SIZE || 10);
+    }
+    
+    // 移動対象の基準点（最も左上の位置）
+    // リルートはノード・グループがない場合のみ基準にする
+    getAnchor(targets) {
+        let x = Infinity, y = Infinity;
+        const items = [...targets.groups, ...targets.nodes];
+        (items.length > 0 ? items : [...targets.reroutes]).forEach(item => {
+            x = Math.min(x, item.pos[0]);
+            y = Math.min(y, item.pos[1]);
+        });
+        return { x, y };
+    }
+    
+    // 基準点が押した方向の次のグリッド線に乗るよう移動量を補正
+    snapArrowDelta(dx, dy) {
+        const anchor = this.getAnchor(this.getSelectedMoveTargets());
+        const gridSize = this.getGridSize();
+        
+        return [
+            snapDeltaToGrid(anchor.x, dx, gridSize),
+            snapDeltaToGrid(anchor.y, dy, gridSize)
+        ];
+    }
+    
+    // 従来のmoveNodesメソッドを維持（後方互換性のため）
+    moveNodes(dx, dy) {
+        return this.moveElements(dx, dy);
+    }
+    
+    // ===============================================
+    // 整列機能
+    // ===============================================
+    // ノードの外接矩形（タイトルバーを含む） [x, y, w, h]
+    getNodeBounds(node) {
+        if (typeof node.getBounding === 'function') {
+            const [x, y, w, h] = node.getBounding();
+            return [x, y, w, h];
+        }
+        const titleHeight = LiteGraph.NODE_TITLE_HEIGHT;
+        return [node.pos[0], node.pos[1] - titleHeight, node.size[0], node.size[1] + titleHeight];
+    }
+    
+    getGroupBounds(group) {
+        return [group.pos[0], group.pos[1], group.size[0], group.size[1]];
+    }
+    
+    // リルートは中心座標なので半径分広げる
+    getRerouteBounds(reroute) {
+        const radius = reroute.constructor?.radius ?? 10;
+        return [reroute.pos[0] - radius, reroute.pos[1] - radius, radius * 2, radius * 2];
+    }
+    
+    // 選択を「一緒に動く単位」に分割
+    // 選択グループは配下ごと1つの単位、グループに含まれない選択ノードはそれぞれ1つの単位
+    // 固定されたものは除外して通知
+    getSelectionUnits() {
+        const { nodes, groups } = this.getSelectedElements();
+        const skipped = new Set();
+        
+        // 他の選択グループの子孫になっているグループは親の単位に含める
+        const nestedGroups = new Set();
+        groups.forEach(group => {
+            this.getAllGroupsRecursive(group).forEach(g => {
+                if (g !== group) nestedGroups.add(g);
+            });
+        });
+        
+        const units = [];
+        const coveredNodes = new Set();
+        
+        groups.filter(group => !nestedGroups.has(group)).forEach(group => {
+            const targets = this.collectMoveTargets([], [group]);
+            targets.nodes.forEach(node => coveredNodes.add(node));
+            targets.skipped.forEach(item => {
+                coveredNodes.add(item);
+                skipped.add(item);
+            });
+            if (targets.groups.has(group)) {
+                units.push({ targets, bounds: this.getGroupBounds(group) });
+            }
+        });
+        
+        nodes.filter(node => !coveredNodes.has(node)).forEach(node => {
+            if (this.isPinned(node)) {
+                skipped.add(node);
+                return;
+            }
+            units.push({
+                targets: { nodes: new Set([node]), groups: new Set(), reroutes: new Set() },
+                bounds: this.getNodeBounds(node)
+            });
+        });
+        
+        this.reportSkippedItems(skipped);
+        return units;
+    }
+    
+    // mode: 'left' | 'right' | 'top' | 'bottom' | 'centerHorizontal' | 'centerVertical'
+    alignSelection(mode) {
+        const units = this.getSelectionUnits();
+        if (units.length < 2) return false;
+        
+        const [minX, minY, width, height] = unionBounds(units.map(unit => unit.bounds));
+        const maxX = minX + width;
+        const maxY = minY + height;
+        
+        const offsets = {
+            left:             ([x]) => [minX - x, 0],
+            right:            ([x, , w]) => [maxX - (x + w), 0],
+            top:              ([, y]) => [0, minY - y],
+            bottom:           ([, y, , h]) => [0, maxY - (y + h)],
+            centerHorizontal: ([x, , w]) => [minX + width / 2 - (x + w / 2), 0],
+            centerVertical:   ([, y, , h]) => [0, minY + height / 2 - (y + h / 2)]
+        };
+        if (!offsets[mode]) return false;
+        
+        this.beginChange('command');
+        units.forEach(unit => {
+            const [dx, dy] = offsets[mode](unit.bounds);
+            if (dx !== 0 || dy !== 0) {
+                this.translateElements(unit.targets, dx, dy);
+            }
+        });
+        this.endChange('command');
+        
+        app.canvas.setDirty(true, true);
+        return true;
+    }
+    
+    // axis: 'horizontal' | 'vertical'
+    // mode: 'gap'（外接矩形の間隔を均等） | 'center'（中心間の距離を均等）
+    distributeSelection(axis, mode) {
+        const units = this.getSelectionUnits();
+        const fixedGap = mode === 'gap' && this.distributeGap > 0;
+        if (units.length < (fixedGap ? 2 : 3)) return false;
+        
+        // 軸方向の開始位置とサイズ
+        const i = axis === 'horizontal' ? 0 : 1;
+        const start = unit => unit.bounds[i];
+        const size = unit => unit.bounds[i + 2];
+        const center = unit => start(unit) + size(unit) / 2;
+        
+        units.sort((a, b) => mode === 'center' ? center(a) - center(b) : start(a) - start(b));
+        
+        const first = units[0];
+        const last = units[units.length - 1];
+        const targets = [];
+        
+        if (mode === 'center') {
+            const spacing = (center(last) - center(first)) / (units.length - 1);
+            units.forEach((unit, index) => {
+                targets.push(center(first) + spacing * index - size(unit) / 2);
+            });
+        } else {
+            let gap = this.distributeGap;
+            if (!fixedGap) {
+                const span = start(last) + size(last) - start(first);
+                const totalSize = units.reduce((sum, unit) => sum + size(unit), 0);
+                gap = (span - totalSize) / (units.length - 1);
+            }
+            let cursor = start(first);
+            units.forEach(unit => {
+                targets.push(cursor);
+                cursor += size(unit) + gap;
+            });
+        }
+        
+        this.beginChange('command');
+        units.forEach((unit, index) => {
+            const delta = targets[index] - start(unit);
+            if (delta === 0) return;
+            
+            if (axis === 'horizontal') this.translateElements(unit.targets, delta, 0);
+            else this.translateElements(unit.targets, 0, delta);
+        });
+        this.endChange('command');
+        
+        app.canvas.setDirty(true, true);
+        return true;
+    }
+    
+    // ===============================================
+    // 複製
+    // ===============================================
+    // elementsをコピー&ペーストし、元の位置から(dx, dy)ずらす
+    // LiteGraphはグループの中身をコピーしないので、elementsには配下も含めて渡す（collectMoveTargetsの結果など）
+    // ペーストした要素が選択された状態になる。ユーザーのクリップボードは変更しない
+    // recomputeGroups: 複製を元の位置からずらしたらグループの所属を再計算
+    //（元の位置に重ねたままだと、複製のグループが元のノードを取り込んでしまう）
+    duplicateElements({ nodes = [], groups = [], reroutes = [] }, dx, dy, { connectInputs = false, recomputeGroups = true } = {}) {
+        const canvas = app.canvas;
+        const items = [...nodes, ...groups, ...reroutes];
+        if (items.length === 0 || !canvas.copyToClipboard || !canvas.pasteFromClipboard) return null;
+        
+        const [originX, originY] = unionBounds(this.getTargetBounds({
+            nodes: new Set(nodes), groups: new Set(groups), reroutes: new Set(reroutes)
+        }));
+        
+        const savedClipboard = localStorage.getItem(CLIPBOARD_STORAGE_KEY);
+        try {
+            canvas.copyToClipboard(items);
+            canvas.pasteFromClipboard({ connectInputs });
+        } finally {
+            if (savedClipboard === null) localStorage.removeItem(CLIPBOARD_STORAGE_KEY);
+            else localStorage.setItem(CLIPBOARD_STORAGE_KEY, savedClipboard);
+        }
+        
+        // ペースト位置（マウス位置）から元の位置 + (dx, dy)へ
+        // 貼り付けた要素は全て選択されているので、配下はたどらない
+        // 何もペーストされなければ選択は元のままなので、元の要素を動かさずに終える
+        const pasted = this.getSelectedElements();
+        const pastedItems = [...pasted.nodes, ...pasted.groups, ...pasted.reroutes];
+        const originals = new Set(items);
+        if (pastedItems.length === 0 || pastedItems.some(item => originals.has(item))) return null;
+        
+        const targets = {
+            nodes: new Set(pasted.nodes),
+            groups: new Set(pasted.groups),
+            reroutes: new Set(pasted.reroutes)
+        };
+        const [pastedX, pastedY] = unionBounds(this.getTargetBounds(targets));
+        this.translateElements(targets, originX + dx - pastedX, originY + dy - pastedY);
+        if (recomputeGroups) {
+            this.getGraphGroups().forEach(group => group.recomputeInsideNodes?.());
+        }
+        
+        app.canvas.setDirty(true, true);
+        return targets;
+    }
+    
+    // 押した方向へ、1つ前のコピーの端から矢印キーの移動量だけ離して複数コピー
+    // 最後のコピーが選択された状態になる
+    arrayDuplicate(direction) {
+        const [ux, uy] = DIRECTION_VECTORS[direction];
+        const selected = this.getSelectedElements();
+        const targets = this.collectMoveTargets(selected.nodes, selected.groups, { reroutes: selected.reroutes });
+        const bounds = this.getTargetBounds(targets);
+        if (bounds.length === 0) return false;
+        
+        const [, , width, height] = unionBounds(bounds);
+        const spacing = (ux !== 0 ? width : height) + this.moveSteps;
+        
+        const elements = { nodes: [...targets.nodes], groups: [...targets.groups], reroutes: [...targets.reroutes] };
+        this.beginChange('command');
+        for (let i = 1; i <= this.arrayDuplicateCount; i++) {
+            const pasted = this.duplicateElements(elements, ux * spacing * i, uy * spacing * i, {
+                connectInputs: this.duplicateKeepLinks
+            });
+            if (!pasted) break;
+        }
+        this.endChange('command');
+        return true;
+    }
+    
+    // ===============================================
+    // データフローの列に整列
+    // ===============================================
+    // リンクをたどった深さごとに左から列に並べ、同じ深さは縦に積む
+    // 列の間隔は矢印キーの移動量、縦の間隔はCTRL+矢印キーの移動量
+    tidySelection() {
+        const units = this.getSelectionUnits();
+        if (units.length < 2) return false;
+        
+        const depths = this.getUnitDepths(units);
+        const columns = [];
+        units.forEach((unit, index) => {
+            (columns[depths[index]] ??= []).push(unit);
+        });
+        
+        const [originX, originY] = unionBounds(units.map(unit => unit.bounds));
+        let x = originX;
+        
+        this.beginChange('command');
+        columns.filter(Boolean).forEach(column => {
+            // 列の中では今の上下の順番を保つ
+            column.sort((a, b) => a.bounds[1] - b.bounds[1] || a.bounds[0] - b.bounds[0]);
+            
+            let y = originY;
+            column.forEach(unit => {
+                const [ux, uy, , uh] = unit.bounds;
+                if (ux !== x || uy !== y) {
+                    this.translateElements(unit.targets, x - ux, y - uy);
+                }
+                y += uh + this.moveStepsCtrl;
+            });
+            x += Math.max(...column.map(unit => unit.bounds[2])) + this.moveSteps;
+        });
+        this.endChange('command');
+        
+        app.canvas.setDirty(true, true);
+        return true;
+    }
+    
+    // 選択内のリンクだけで見た各単位の深さ（入力元がなければ0）
+    // 循環している単位は、それまでに決まった入力元の深さ + 1
+    getUnitDepths(units) {
+        const unitOfNode = new Map();
+        units.forEach((unit, index) => {
+            unit.targets.nodes.forEach(node => unitOfNode.set(node, index));
+        });
+        
+        const inputs = units.map(() => new Set());
+        units.forEach((unit, index) => {
+            unit.targets.nodes.forEach(node => {
+                node.inputs?.forEach((input, slot) => {
+                    const source = unitOfNode.get(node.getInputNode?.(slot));
+                    if (source !== undefined && source !== index) inputs[index].add(source);
+                });
+            });
+        });
+        
+        const depths = units.map(() => null);
+        let remaining = units.map((_, index) => index);
+        while (remaining.length > 0) {
+            const ready = remaining.filter(index => [...inputs[index]].every(source => depths[source] !== null));
+            // 循環している場合は最も上流に近いものから決める
+            const next = ready.length > 0 ? ready : [remaining[0]];
+            next.forEach(index => {
+                const known = [...inputs[index]].map(source => depths[source]).filter(depth => depth !== null);
+                depths[index] = known.length > 0 ? Math.max(...known) + 1 : 0;
+            });
+            remaining = remaining.filter(index => depths[index] === null);
+        }
+        return depths;
+    }
+    
+    // ===============================================
+    // Undo/Redo履歴
+    // ===============================================
+    getChangeTracker() {
+        return app.extensionManager?.workflow?.activeWorkflow?.changeTracker
+            ?? app.workflowManager?.activeWorkflow?.changeTracker
+            ?? null;
+    }
+    
+    // 変更開始（最初の操作でのみchangeTrackerに通知）
+    beginChange(owner) {
+        const history = this.historyState;
+        if (history.owners.has(owner)) return;
+        
+        if (history.owners.size === 0) {
+            history.tracker = this.getChangeTracker();
+            history.tracker?.beforeChange();
+        }
+        history.owners.add(owner);
+    }
+    
+    // 変更終了（全ての操作が終わった時点で1つの履歴として記録）
+    endChange(owner) {
+        const history = this.historyState;
+        if (!history.owners.delete(owner)) return;
+        
+        if (history.owners.size === 0) {
+            const tracker = history.tracker;
+            history.tracker = null;
+            tracker?.afterChange();
+        }
+    }
+    
+    // 矢印キー移動の履歴を開始し、一定時間入力がなければ確定する
+    // 押し続けている間はOSのキーリピートの間隔に関係なく1つの履歴にするため、離すまで確定しない
+    touchArrowHistory() {
+        const history = this.historyState;
+        this.beginChange('arrow');
+        this.beginGesture();
+        
+        clearTimeout(history.arrowTimer);
+        history.arrowTimer = history.heldDirections.size === 0
+            ? setTimeout(() => this.endArrowHistory(), ARROW_BURST_TIMEOUT)
+            : null;
+    }
+    
+    handleArrowKeyUp(e) {
+        const history = this.historyState;
+        if (!history.heldDirections.delete(this.getKeyDirection(e))) return;
+        if (history.heldDirections.size === 0 && history.owners.has('arrow')) {
+            this.touchArrowHistory();
+        }
+    }
+    
+    // ウィンドウを離れるとkeyupが届かないので、押していたキーは離したものとする
+    releaseArrowKeys() {
+        const history = this.historyState;
+        if (history.heldDirections.size === 0) return;
+        history.heldDirections.clear();
+        if (history.owners.has('arrow')) this.touchArrowHistory();
+    }
+    
+    endArrowHistory() {
+        const history = this.historyState;
+        clearTimeout(history.arrowTimer);
+        history.arrowTimer = null;
+        
+        this.commitArrowGroupMembership();
+        this.endArrowMeasurement();
+        this.endGesture('arrow');
+        this.endChange('arrow');
+    }
+    
+    // 保留中の履歴を全て確定
+    flushHistory() {
+        this.endArrowHistory();
+        this.endChange('drag');
+    }
+    
+    // ===============================================
+    // キーボード移動機能
+    // ===============================================
+    handleKeyDown(e) {
+        // Shift+ドラッグ中は方向切り替えキーのみ処理
+        if (this.shiftDragState.active && this.handleDirectionKey(e)) {
+            return;
+        }
+        
+        let direction = this.getKeyDirection(e);
+        
+        // ComfyUIのキーバインドや整列コマンドに割り当てられた組み合わせはそちらに任せる（WASDのCTRL+Sなど）
+        if (direction && this.isReservedCombo(e, direction)) direction = null;
+        
+        // 移動キー以外（Ctrl+Zなど）が押されたら連打中の履歴を確定
+        if (!direction && this.historyState.owners.has('arrow')) {
+            this.endArrowHistory();
+        }
+        
+        if (!direction) return;
+        
+        // リンクでつながったノードごと移動（他の修飾キーの組み合わせより優先）
+        const chain = isModifierPressed(e, this.keyBindings.chainModifier);
+        
+        // CTRL+ALT+移動キーはサイズ変更
+        if (!chain && e.altKey && (e.ctrlKey || e.metaKey)) {
+            if (this.enableKeyboardResize && this.canNodeMove()) {
+                const { nodes, groups } = this.getSelectedElements();
+                if (nodes.length === 0 && groups.length === 0) return;
+                
+                e.preventDefault();
+                e.stopPropagation();
+                e.stopImmediatePropagation();
+                
+                this.historyState.heldDirections.add(direction);
+                this.touchArrowHistory();
+                this.resizeElements(direction);
+            }
+            return;
+        }
+        
+        // ALT+移動キーは選択範囲の移動（ALT+SHIFTで追加選択）
+        if (!chain && e.altKey && this.enableSelectionNavigation) {
+            if (!this.isInputFocused()) {
+                e.preventDefault();
+                e.stopPropagation();
+                e.stopImmediatePropagation();
+                this.navigateSelection(direction, e.shiftKey);
+            }
+            return;
+        }
+        
+        // 早期リターン条件をまとめて処理
+        if (!this.enableArrowMove || 
+            !this.canNodeMove()) {
+            return;
+        }
+        
+        const { nodes, groups, reroutes } = this.getSelectedElements();
+        if (nodes.length === 0 && groups.length === 0 && reroutes.length === 0) {
+            return;
+        }
+        
+        // イベント停止
+        e.preventDefault();
+        e.stopPropagation();
+        e.stopImmediatePropagation();
+
+        // 移動量の決定
+        // 連結ノードごと動かす場合は通常の移動量
+        let stepKind = 'normal';
+        if (!chain) {
+            if (isModifierPressed(e, this.keyBindings.largeStepModifier)) stepKind = 'large';
+            else if (isModifierPressed(e, this.keyBindings.fineStepModifier)) stepKind = 'fine';
+        }
+
+        if (this.enableSmoothMove) {
+            // 押しっぱなしはアニメーション側で処理するため、OSのキーリピートは無視
+            if (!e.repeat) this.startSmoothMove(direction, stepKind, { chain });
+            return;
+        }
+        
+        this.historyState.heldDirections.add(direction);
+        this.moveInDirection(direction, stepKind, { chain });
+    }
+    
+    getStep(stepKind) {
+        const steps = {
+            normal: this.moveSteps,
+            large: this.moveStepsShift,
+            fine: this.moveStepsCtrl
+        };
+        return steps[stepKind];
+    }
+    
+    // 方向（'up' | 'down' | 'left' | 'right'）と移動量の種類（'normal' | 'large' | 'fine'）を指定して移動
+    moveInDirection(direction, stepKind = 'normal', options = {}) {
+        const step = this.getStep(stepKind);
+        const [ux, uy] = DIRECTION_VECTORS[direction];
+        let dx = ux * step;
+        let dy = uy * step;
+        if (this.enableGridSnap) {
+            [dx, dy] = this.snapArrowDelta(dx, dy);
+        }
+        
+        this.touchArrowHistory();
+        return this.moveSelectionBy(dx, dy, options);
+    }
+    
+    // 選択範囲を移動し、必要ならキャンバスを追従させる
+    moveSelectionBy(dx, dy, options = {}) {
+        const moved = this.moveElements(dx, dy, options);
+        
+        if (moved && this.enableAutoPan) {
+            this.panToSelection();
+        }
+        return moved;
+    }
+    
+    // ===============================================
+    // なめらかな移動（アニメーション）
+    // ===============================================
+    startSmoothMove(direction, stepKind, options = {}) {
+        const state = this.smoothMoveState;
+        const step = this.getStep(stepKind);
+        const now = performance.now();
+        
+        // 同じ方向への再入力は目標を1ステップ延長
+        if (state.active && state.direction === direction && state.step === step && state.chain === !!options.chain) {
+            state.minTarget = Math.max(state.minTarget, Math.ceil(state.traveled / step) * step) + step;
+            state.target = Math.max(state.target, state.minTarget);
+            state.holding = true;
+            state.holdStart = now;
+            return;
+        }
+        
+        // 方向が変わった場合は前の移動を目標位置で終える
+        if (state.active) {
+            this.finishSmoothMove(true);
+        }
+        
+        const anchor = this.getAnchor(this.getSelectedMoveTargets());
+        const [ux, uy] = DIRECTION_VECTORS[direction];
+        
+        Object.assign(state, {
+            active: true,
+            direction,
+            step,
+            vector: [ux, uy],
+            chain: !!options.chain,
+            anchorStart: ux !== 0 ? anchor.x : anchor.y,
+            traveled: 0,
+            applied: 0,
+            target: step,
+            minTarget: step,
+            holding: true,
+            holdStart: now,
+            lastTime: now
+        });
+        
+        this.beginChange('smooth');
+        this.beginGesture();
+        state.frame = requestAnimationFrame(time => this.stepSmoothMove(time));
+    }
+    
+    stepSmoothMove(time) {
+        const state = this.smoothMoveState;
+        if (!state.active) return;
+        
+        const dt = Math.min(Math.max(time - state.lastTime, 0), 100) / 1000;
+        const heldFor = (time - state.holdStart) / 1000;
+        state.lastTime = time;
+        
+        // 押し続けるほど加速（最大速度は設定値倍）
+        const acceleration = state.holding
+            ? Math.min(this.smoothMoveMaxSpeed, 1 + heldFor * (this.smoothMoveMaxSpeed - 1) / SMOOTH_MOVE_ACCELERATION_TIME)
+            : Math.max(1, Math.min(this.smoothMoveMaxSpeed, state.speedFactor ?? 1));
+        state.speedFactor = acceleration;
+        const speed = state.step * SMOOTH_MOVE_BASE_RATE * acceleration;
+        
+        // 押しっぱなしの間は目標を先へ伸ばし続ける
+        if (state.holding && heldFor * 1000 > SMOOTH_MOVE_HOLD_DELAY) {
+            state.target = Math.max(state.target, state.traveled + state.step);
+        }
+        
+        state.traveled = Math.min(state.target, state.traveled + speed * dt);
+        this.applySmoothMove();
+        
+        if (!state.holding && state.traveled >= state.target) {
+            this.finishSmoothMove(false);
+            return;
+        }
+        state.frame = requestAnimationFrame(t => this.stepSmoothMove(t));
+    }
+    
+    // 移動量は整数に丸めて適用（最終位置がずれないように）
+    applySmoothMove() {
+        const state = this.smoothMoveState;
+        const next = state.traveled >= state.target ? state.target : Math.round(state.traveled);
+        const delta = next - state.applied;
+        if (delta === 0) return;
+        
+        const [ux, uy] = state.vector;
+        if (!this.moveSelectionBy(ux * delta, uy * delta, { chain: state.chain })) {
+            // 選択が解除された場合は中断
+            this.finishSmoothMove(false);
+            return;
+        }
+        state.applied = next;
+    }
+    
+    // キーを離したら、ステップ単位（グリッド吸着時はグリッド線）で止まるよう目標を決める
+    releaseSmoothMove() {
+        const state = this.smoothMoveState;
+        if (!state.active || !state.holding) return;
+        
+        state.holding = false;
+        let target = Math.max(state.minTarget, Math.ceil(state.traveled / state.step - 1e-6) * state.step);
+        if (this.enableGridSnap) {
+            // 止まる位置の先にある最初のグリッド線まで進める
+            const sign = state.vector[0] + state.vector[1];
+            const gridSize = this.getGridSize();
+            const position = state.anchorStart + sign * target;
+            const landing = sign > 0
+                ? Math.ceil(position / gridSize) * gridSize
+                : Math.floor(position / gridSize) * gridSize;
+            target = Math.abs(landing - state.anchorStart);
+        }
+        state.target = target;
+    }
+    
+    // jumpToTarget: 残りをアニメーションせずに移動
+    finishSmoothMove(jumpToTarget) {
+        const state = this.smoothMoveState;
+        if (!state.active) return;
+        
+        cancelAnimationFrame(state.frame);
+        if (jumpToTarget) {
+            state.traveled = state.target;
+            this.applySmoothMove();
+        }
+        state.active = false;
+        state.holding = false;
+        this.commitArrowGroupMembership();
+        this.endArrowMeasurement();
+        this.endGesture('smooth');
+        this.endChange('smooth');
+    }
+    
+    handleSmoothMoveKeyUp(e) {
+        const state = this.smoothMoveState;
+        if (state.active && this.getKeyDirection(e) === state.direction) {
+            this.releaseSmoothMove();
+        }
+    }
+    
+    // ===============================================
+    // キー割り当て
+    // ===============================================
+    // 押されたキーに割り当てられた方向（'up' | 'down' | 'left' | 'right' | null）
+    getKeyDirection(e) {
+        const keys = this.keyBindings.keys;
+        const key = normalizeKey(e.key);
+        
+        const direction = Object.keys(keys).find(dir => keys[dir] === key);
+        if (direction) return direction;
+        
+        // macOSではALT併用時に別の文字が入力されるため、物理キーで判定
+        if (e.altKey && e.code?.startsWith('Key')) {
+            const physicalKey = e.code.slice(3).toLowerCase();
+            return Object.keys(keys).find(dir => keys[dir] === physicalKey) ?? null;
+        }
+        return null;
+    }
+    
+    // 設定からキー割り当てを更新
+    updateKeyBindings({ layout, customKeys, largeStepModifier, fineStepModifier, axisLockModifier, chainModifier }) {
+        const bindings = this.keyBindings;
+        
+        if (layout in KEY_LAYOUTS) {
+            bindings.keys = { ...KEY_LAYOUTS[layout] };
+        } else if (layout === 'Custom') {
+            const keys = (customKeys ?? '').split(',').map(key => normalizeKey(key.trim()));
+            if (keys.length === 4 && keys.every(key => key)) {
+                const [up, down, left, right] = keys;
+                bindings.keys = { up, down, left, right };
+            }
+        }
+        
+        if (largeStepModifier) bindings.largeStepModifier = largeStepModifier;
+        if (fineStepModifier) bindings.fineStepModifier = fineStepModifier;
+        if (axisLockModifier) bindings.axisLockModifier = axisLockModifier;
+        if (chainModifier) bindings.chainModifier = chainModifier;
+    }
+    
+    // このキー割り当てで使う組み合わせ [{ key, ctrl, alt, shift, action }]
+    getBoundCombos() {
+        const { keys, largeStepModifier, fineStepModifier, chainModifier } = this.keyBindings;
+        const combos = [];
+        const modifierFlags = modifier => {
+            const parts = modifier?.split('+') ?? [];
+            return {
+                ctrl: parts.includes('Ctrl'),
+                alt: parts.includes('Alt'),
+                shift: parts.includes('Shift')
+            };
+        };
+        
+        Object.values(keys).forEach(key => {
+            if (this.enableArrowMove) {
+                combos.push({ key, ...modifierFlags(null), action: 'Move' });
+                combos.push({ key, ...modifierFlags(largeStepModifier), action: 'Move (large step)' });
+                combos.push({ key, ...modifierFlags(fineStepModifier), action: 'Move (fine step)' });
+                combos.push({ key, ...modifierFlags(chainModifier), action: 'Move with linked nodes' });
+            }
+            if (this.enableSelectionNavigation) {
+                combos.push({ key, ctrl: false, alt: true, shift: false, action: 'Select nearest' });
+                combos.push({ key, ctrl: false, alt: true, shift: true, action: 'Add nearest to selection' });
+            }
+            if (this.enableKeyboardResize) {
+                combos.push({ key, ctrl: true, alt: true, shift: false, action: 'Resize' });
+            }
+        });
+        return combos;
+    }
+    
+    // ComfyUIのキーバインド（標準 + 拡張機能 + ユーザー設定 - 解除されたもの） + キャンバスの操作
+    // この拡張機能の整列コマンド（ALT+SHIFT+L等）もキー割り当てによっては移動・選択と重なるので含める
+    getComfyKeyBindings() {
+        return [...this.getRegisteredKeyBindings(), ...CANVAS_KEYBINDINGS];
+    }
+    
+    // フロントエンドのコマンドに割り当てられているキーバインドを読む
+    // 読めない（古いフロントエンド）場合は主なものの一覧と設定から組み立てる
+    getRegisteredKeyBindings() {
+        const registered = (app.extensionManager?.command?.commands ?? [])
+            .filter(command => command.keybinding?.combo)
+            .map(command => ({ combo: command.keybinding.combo, commandId: command.id }));
+        if (registered.length > 0) return registered;
+        
+        const settings = app.ui.settings;
+        const unset = new Set((settings.getSettingValue('Comfy.Keybinding.UnsetBindings') ?? [])
+            .map(binding => getComboId(binding.combo)));
+        return [
+            ...COMFY_KEYBINDINGS,
+            ...(app.extensions ?? []).flatMap(extension => extension.keybindings ?? []),
+            ...(settings.getSettingValue('Comfy.Keybinding.NewBindings') ?? [])
+        ].filter(binding => binding?.combo && !unset.has(getComboId(binding.combo)));
+    }
+    
+    // 押された移動キーの組み合わせがComfyUIのキーバインドに割り当てられているか
+    isReservedCombo(e, direction) {
+        const id = getComboId({
+            key: this.keyBindings.keys[direction],
+            ctrl: e.ctrlKey || e.metaKey,
+            alt: e.altKey,
+            shift: e.shiftKey
+        });
+        return this.getComfyKeyBindings().some(binding => getComboId(binding.combo) === id);
+    }
+    
+    // ComfyUIのキーバインドや拡張機能内の操作との競合を検出
+    findKeyBindingConflicts() {
+        const conflicts = [];
+        
+        const comfyBindings = [...this.getComfyKeyBindings(), ...PREVIEW_NAVIGATION_KEYBINDINGS];
+        const comfyById = new Map(comfyBindings.map(binding => [getComboId(binding.combo), binding]));
+        const ownById = new Map();
+        
+        this.getBoundCombos().forEach(combo => {
+            const id = getComboId(combo);
+            const label = formatCombo(combo);
+            
+            const comfyBinding = comfyById.get(id);
+            if (comfyBinding) {
+                conflicts.push(`${label}: ${combo.action} / ${comfyBinding.commandId}`);
+            }
+            
+            const own = ownById.get(id);
+            if (own && own.action !== combo.action) {
+                conflicts.push(`${label}: ${combo.action} / ${own.action}`);
+            }
+            ownById.set(id, combo);
+        });
+        
+        // SHIFT+ドラッグの修飾キーとLiteGraphのドラッグ操作
+        const dragConflicts = {
+            'Ctrl': 'LiteGraph box selection (CTRL+Drag)',
+            'Alt': 'LiteGraph clone (ALT+Drag)'
+        };
+        const axisLockModifier = this.keyBindings.axisLockModifier;
+        if (dragConflicts[axisLockModifier]) {
+            conflicts.push(`${axisLockModifier}+Drag: Axis lock / ${dragConflicts[axisLockModifier]}`);
+        }
+        
+        return [...new Set(conflicts)];
+    }
+    
+    // 競合があれば通知（設定変更が続いても1回にまとめる）
+    // 起動時には呼ばない（既定の矢印キーとPreview Imageの画像切り替えは分かっている重なりなので、毎回警告しない）
+    reportKeyBindingConflicts() {
+        clearTimeout(this.conflictReportTimer);
+        this.conflictReportTimer = setTimeout(() => {
+            const conflicts = this.findKeyBindingConflicts();
+            if (conflicts.length === 0) return;
+            
+            const detail = `Key binding conflicts:\n${conflicts.join('\n')}`;
+            if (app.extensionManager?.toast) {
+                app.extensionManager.toast.add({ severity: 'warn', summary: 'Linear Move', detail, life: 10000 });
+            } else {
+                console.warn(`[LinearMove] ${detail}`);
+            }
+        }, 0);
+    }
+    
+    // ===============================================
+    // キーボードによるサイズ変更（CTRL+ALT+矢印キー）
+    // ===============================================
+    // 右・下で拡大、左・上で縮小
+    resizeElements(direction) {
+        const [ux, uy] = DIRECTION_VECTORS[direction];
+        const dw = ux * this.resizeSteps;
+        const dh = uy * this.resizeSteps;
+        const { nodes, groups } = this.getSelectedElements();
+        this.reportSkippedItems(new Set([...nodes, ...groups].filter(item => this.isPinned(item))));
+        
+        nodes.filter(node => !this.isPinned(node)).forEach(node => {
+            const [minWidth, minHeight] = node.computeSize?.() ?? [0, 0];
+            const width = Math.max(minWidth, node.size[0] + dw);
+            const height = Math.max(minHeight, node.size[1] + dh);
+            
+            if (typeof node.setSize === 'function') node.setSize([width, height]);
+            else node.size = [width, height];
+        });
+        
+        // グループはメンバーの位置を変えずに枠だけ変更し、所属を再計算
+        groups.filter(group => !this.isPinned(group)).forEach(group => {
+            group.size[0] = Math.max(LGraphGroup.minWidth ?? 140, group.size[0] + dw);
+            group.size[1] = Math.max(LGraphGroup.minHeight ?? 80, group.size[1] + dh);
+            group.recomputeInsideNodes?.();
+        });
+        this.invalidateGestureCache();
+        
+        app.canvas.setDirty(true, true);
+        return true;
+    }
+    
+    // ===============================================
+    // 選択範囲の移動（ALT+矢印キー）
+    // ===============================================
+    getItemBounds(item) {
+        return item instanceof LGraphGroup ? this.getGroupBounds(item) : this.getNodeBounds(item);
+    }
+    
+    // 押した方向で最も近いノード・グループを選択
+    navigateSelection(direction, addToSelection) {
+        const [ux, uy] = DIRECTION_VECTORS[direction];
+        const { nodes, groups } = this.getSelectedElements();
+        const selected = new Set([...nodes, ...groups]);
+        
+        // 起点: 直前にたどった要素、なければ選択範囲全体、選択がなければ表示領域の中心
+        let origin;
+        if (selected.has(this.navigationFocus)) {
+            origin = this.getItemBounds(this.navigationFocus);
+        } else if (selected.size > 0) {
+            origin = unionBounds([...selected].map(item => this.getItemBounds(item)));
+        } else {
+            const [x, y, w, h] = app.canvas.visible_area ?? [0, 0, 0, 0];
+            origin = [x + w / 2, y + h / 2, 0, 0];
+        }
+        const originX = origin[0] + origin[2] / 2;
+        const originY = origin[1] + origin[3] / 2;
+        
+        // 進行方向の距離 + 横方向のずれ（重み付き）が最小のものを選ぶ
+        let best = null;
+        let bestScore = Infinity;
+        [...this.getGraphNodes(), ...this.getGraphGroups()].forEach(item => {
+            if (selected.has(item)) return;
+            
+            const [x, y, w, h] = this.getItemBounds(item);
+            const offsetX = x + w / 2 - originX;
+            const offsetY = y + h / 2 - originY;
+            const along = offsetX * ux + offsetY * uy;
+            const across = Math.abs(offsetX * uy - offsetY * ux);
+            
+            // 選択がない場合は方向を問わず最も近いもの
+            if (selected.size > 0 && along <= 0) return;
+            
+            const score = selected.size > 0 ? along + across * 2 : Math.hypot(offsetX, offsetY);
+            if (score < bestScore) {
+                best = item;
+                bestScore = score;
+            }
+        });
+        
+        if (!best) return false;
+        
+        this.selectItem(best, addToSelection);
+        this.navigationFocus = best;
+        
+        if (this.enableAutoPan) {
+            this.panToBounds(this.getItemBounds(best));
+        }
+        app.canvas.setDirty(true, true);
+        return true;
+    }
+    
+    selectItem(item, addToSelection) {
+        const canvas = app.canvas;
+        
+        if (typeof canvas.select === 'function') {
+            if (!addToSelection) canvas.deselectAll();
+            canvas.select(item);
+        } else if (item instanceof LGraphGroup) {
+            if (!addToSelection) canvas.deselectAllNodes();
+            canvas.selected_group = item;
+            item.selected = true;
+        } else {
+            canvas.selectNode(item, addToSelection);
+        }
+    }
+    
+    handleShiftKeyUp(e) {
+        const modifierKeys = MODIFIER_KEYS[this.keyBindings.axisLockModifier] ?? [];
+        if (modifierKeys.includes(e.key) && this.shiftDragState.active) {
+            this.endShiftDrag();
+        }
+    }
+    
+    // ===============================================
+    // タッチ・ペン操作
+    // ===============================================
+    isTouchPointer(e) {
+        return e.pointerType === 'touch' || e.pointerType === 'pen';
+    }
+    
+    // 選択範囲の上で指・ペンを止めたまま長押しすると方向固定ドラッグを開始
+    startLongPress(e) {
+        const longPress = { pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, event: e, timer: null };
+        longPress.timer = setTimeout(() => this.completeLongPress(), LONG_PRESS_DELAY);
+        this.longPressState = longPress;
+    }
+    
+    updateLongPress(e) {
+        const longPress = this.longPressState;
+        if (!longPress || e.pointerId !== longPress.pointerId) return;
+        
+        if (Math.hypot(e.clientX - longPress.startX, e.clientY - longPress.startY) > LONG_PRESS_TOLERANCE) {
+            this.cancelLongPress();
+        } else {
+            longPress.event = e;
+        }
+    }
+    
+    cancelLongPress() {
+        if (!this.longPressState) return;
+        clearTimeout(this.longPressState.timer);
+        this.longPressState = null;
+    }
+    
+    // LiteGraphは既にドラッグを始めているので、Shift+ドラッグと同じくLiteGraphの移動を補正する
+    completeLongPress() {
+        const longPress = this.longPressState;
+        this.longPressState = null;
+        if (!longPress || this.shiftDragState.active || !this.enableAxisLock) return;
+        
+        if (!this.isPointerOnTargets(longPress.event, this.getSelectedMoveTargets())) return;
+        
+        this.startShiftDrag(longPress.event);
+        navigator.vibrate?.(10);
+    }
+    
+    // 長押しでブラウザのメニューが開かないようにする
+    handleContextMenu(e) {
+        if (this.shiftDragState.active && this.isTouchPointer(e)) {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+        }
+    }
+    
+    // 画面上の方向固定ボタン（ONの間はタッチ・ペンのドラッグが全て方向固定になる）
+    updateAxisLockButton() {
+        if (!this.showAxisLockButton) {
+            this.removeAxisLockButton();
+            return;
+        }
+        
+        if (!this.axisLockButton) {
+            this.axisLockButton = $el("button.linear-move-axis-lock-button", {
+                type: "button",
+                textContent: "⇔ Axis Lock",
+                title: "Lock touch and pen drags to an axis",
+                style: {
+                    position: "absolute",
+                    left: "16px",
+                    bottom: "16px",
+                    zIndex: 10,
+                    padding: "8px 12px",
+                    border: "1px solid #888",
+                    borderRadius: "6px",
+                    color: "#fff",
+                    fontSize: "14px",
+                    touchAction: "manipulation"
+                },
+                onclick: () => {
+                    this.axisLockLatched = !this.axisLockLatched;
+                    this.updateAxisLockButton();
+                }
+            });
+            app.canvasEl.parentElement?.appendChild(this.axisLockButton);
+        }
+        
+        const button = this.axisLockButton;
+        button.setAttribute("aria-pressed", String(this.axisLockLatched));
+        button.style.background = this.axisLockLatched ? GUIDE_COLOR : "rgba(0, 0, 0, 0.6)";
+    }
+    
+    removeAxisLockButton() {
+        this.axisLockButton?.remove();
+        this.axisLockButton = null;
+        this.axisLockLatched = false;
+    }
+    
+    // ===============================================
+    // Shift+ドラッグ制限機能
+    // ===============================================
+    handlePointerDown(e) {
+        const state = this.shiftDragState;
+        this.cancelLongPress();
+        
+        // ドラッグ中に2本目の指などが押されたら、LiteGraphのピンチ操作を優先してドラッグを終える
+        //（自前で処理しているドラッグはLiteGraphが知らないので続ける）
+        // 同じポインターの場合は終わり損ねたドラッグなので確定してから新しく始める
+        if (state.active) {
+            const otherPointer = e.pointerId !== state.pointerId;
+            if (otherPointer && state.ownsPointer) return;
+            this.completeShiftDrag();
+            if (otherPointer) return;
+        }
+        
+        const { nodes, groups, reroutes } = this.getSelectedElements();
+        groups.forEach(group => group?.recomputeInsideNodes()); // 選択したグループの内部を再計算
+        
+        const touch = this.isTouchPointer(e);
+        const axisLock = isModifierPressed(e, this.keyBindings.axisLockModifier) || (touch && this.axisLockLatched);
+        if (this.enableAxisLock && !axisLock && touch && e.isPrimary && this.enableLongPressAxisLock) {
+            this.startLongPress(e);
+            return;
+        }
+        
+        if (this.enableAxisLock && 
+            axisLock && 
+            (nodes.length > 0 || groups.length > 0 || reroutes.length > 0)) {
+            const chain = isModifierPressed(e, this.keyBindings.chainModifier);
+            this.startShiftDrag(e, { chain });
+            
+            // 連結ノードはLiteGraphが動かさないため、ドラッグを自前で処理
+            if (chain && this.isPointerOnDragTargets(e)) {
+                this.takeOverPointer(e);
+            }
+        }
+    }
+    
+    // ALT付きなら複製してから複製をドラッグ（複製と移動で1つの履歴）
+    // LiteGraphのALT+ドラッグの複製と二重にならないよう、キャンバスに届く前に処理してイベントを止める
+    handleClonePointerDown(e) {
+        if (e.target !== app.canvasEl || !e.altKey || !this.enableAxisLock) return;
+        if (this.shiftDragState.active) return;
+        if (!isModifierPressed(e, this.keyBindings.axisLockModifier) ||
+            isModifierPressed(e, this.keyBindings.chainModifier)) return;
+        
+        const { nodes, groups, reroutes } = this.getSelectedElements();
+        if (nodes.length === 0 && groups.length === 0 && reroutes.length === 0) return;
+        groups.forEach(group => group?.recomputeInsideNodes());
+        
+        const sourceTargets = this.collectMoveTargets(nodes, groups, { reroutes });
+        if (!this.isPointerOnTargets(e, sourceTargets)) return;
+        
+        this.cancelLongPress();
+        this.flushArrowGesture();
+        this.beginChange('drag');
+        // 複製のグループは所属を再計算していないので、ペーストした要素をそのまま移動対象にする
+        const cloneTargets = this.duplicateElements({
+            nodes: [...sourceTargets.nodes],
+            groups: [...sourceTargets.groups],
+            reroutes: [...sourceTargets.reroutes]
+        }, 0, 0, { connectInputs: this.duplicateKeepLinks, recomputeGroups: false });
+        if (!cloneTargets) {
+            this.endChange('drag');
+            return;
+        }
+        
+        this.startShiftDrag(e, { targets: cloneTargets, cloned: true });
+        this.takeOverPointer(e);
+    }
+    
+    // ポインターが移動対象のノード・グループ上にあるか
+    isPointerOnDragTargets(e) {
+        const state = this.shiftDragState;
+        return this.isPointerOnTargets(e, {
+            nodes: new Set(state.nodeStartPositions.keys()),
+            groups: new Set(state.groupStartPositions.keys()),
+            reroutes: new Set()
+        });
+    }
+    
+    isPointerOnTargets(e, targets) {
+        const [x, y] = app.canvas.convertEventToCanvasOffset(e);
+        const contains = ([bx, by, bw, bh]) => x >= bx && x <= bx + bw && y >= by && y <= by + bh;
+        
+        return [...targets.nodes].some(node => contains(this.getNodeBounds(node))) ||
+               [...targets.groups].some(group => contains(this.getGroupBounds(group)));
+    }
+    
+    // LiteGraphにイベントを渡さず、マウスの移動量でドラッグする
+    takeOverPointer(e) {
+        const state = this.shiftDragState;
+        state.ownsPointer = true;
+        state.pointerId = e.pointerId;
+        
+        e.preventDefault();
+        e.stopPropagation();
+        e.stopImmediatePropagation();
+        app.canvasEl.setPointerCapture?.(e.pointerId);
+    }
+    
+    // ドラッグ中のポインター以外は無視
+    isDragPointer(e) {
+        const pointerId = this.shiftDragState.pointerId;
+        return pointerId === null || e.pointerId === pointerId;
+    }
+    
+    handlePointerMove(e) {
+        this.updateLongPress(e);
+        if (this.shiftDragState.active && this.isDragPointer(e)) {
+            this.processShiftDrag(e);
+        }
+    }
+    
+    // pointercancelも同じように処理（その時点の位置で確定）
+    handlePointerUp(e) {
+        if (e.pointerId === this.longPressState?.pointerId) {
+            this.cancelLongPress();
+        }
+        
+        const state = this.shiftDragState;
+        if (state.active && this.isDragPointer(e)) {
+            if (state.ownsPointer) {
+                e.stopPropagation();
+                e.stopImmediatePropagation();
+            }
+            this.completeShiftDrag();
+        }
+    }
+    
+    completeShiftDrag() {
+        const state = this.shiftDragState;
+        
+        // 予約中の制約はここでまとめて適用
+        this.cancelMovementConstraint();
+        if (state.ownsPointer) {
+            app.canvasEl.releasePointerCapture?.(state.pointerId);
+            this.applyMovementConstraint();
+        } else if (state.direction || state.canceled) {
+            // 最後のpointermoveでLiteGraphが動かした分を補正
+            // beforeMoveで取り消された場合は、方向が決まる前でも開始位置に戻す
+            this.updateDragDelta();
+            this.applyMovementConstraint();
+        }
+        this.endShiftDrag();
+    }
+    
+    startShiftDrag(e, options = {}) {
+        const state = this.shiftDragState;
+        this.flushArrowGesture();
+        this.beginGesture();
+        const { nodes, groups, reroutes } = this.getSelectedElements();
+        
+        state.active = true;
+        state.direction = null;
+        state.directionLocked = false;
+        state.ownsPointer = false;
+        state.pointerId = e.pointerId ?? null;
+        state.startMouse = { x: e.clientX, y: e.clientY };
+        this.beginChange('drag');
+        
+        // 全ノード（直接選択 + グループ内 + 連結ノード）とグループの開始位置を記録
+        // options.targets: 移動対象を直接指定（複製したものなど）
+        const targets = options.targets ?? this.collectMoveTargets(nodes, groups, { ...options, reroutes });
+        state.targets = targets;
+        state.cloned = !!options.cloned;
+        if (targets.skipped) this.reportSkippedItems(targets.skipped);
+        
+        // 取り消された場合は開始位置に留める（移動量はドラッグ終了時のafterMoveで通知）
+        state.canceled = !this.dispatchMoveEvent('beforeMove', targets, 0, 0, 'drag');
+        
+        state.nodeStartPositions.clear();
+        targets.nodes.forEach(node => {
+            state.nodeStartPositions.set(node, { x: node.pos[0], y: node.pos[1] });
+        });
+        
+        state.groupStartPositions.clear();
+        targets.groups.forEach(group => {
+            state.groupStartPositions.set(group, { x: group.pos[0], y: group.pos[1] });
+        });
+        
+        state.rerouteStartPositions.clear();
+        targets.reroutes.forEach(reroute => {
+            state.rerouteStartPositions.set(reroute, { x: reroute.pos[0], y: reroute.pos[1] });
+        });
+        
+        // 移動量の基準にする要素とグリッド吸着の基準点
+        const [item, start] = state.groupStartPositions.entries().next().value
+            ?? state.nodeStartPositions.entries().next().value
+            ?? state.rerouteStartPositions.entries().next().value
+            ?? [];
+        state.reference = item ? { item, start } : null;
+        state.anchorStart = this.getAnchor(targets);
+        state.rawDelta = { x: 0, y: 0 };
+        state.appliedDelta = { x: 0, y: 0 };
+        
+        // スマートガイドの候補
+        state.movingBounds = unionBounds([
+            ...[...targets.nodes].map(node => this.getNodeBounds(node)),
+            ...[...targets.groups].map(group => this.getGroupBounds(group))
+        ]);
+        state.guideTargets = [
+            ...this.getGraphNodes().filter(node => !targets.nodes.has(node)).map(node => this.getNodeBounds(node)),
+            ...this.getGraphGroups().filter(group => !targets.groups.has(group)).map(group => this.getGroupBounds(group))
+        ];
+        
+        // 押し出し・衝突停止の対象と開始位置
+        state.collision = null;
+        if (this.collisionMode !== 'off') {
+            const units = this.getCollisionUnits(targets);
+            units.forEach(unit => {
+                unit.startPositions = new Map(
+                    [...unit.targets.nodes, ...unit.targets.groups, ...unit.targets.reroutes]
+                        .map(item => [item, { x: item.pos[0], y: item.pos[1] }])
+                );
+            });
+            state.collision = { moverBounds: this.getTargetBounds(targets), units };
+        }
+    }
+    
+    processShiftDrag(e) {
+        const state = this.shiftDragState;
+        const deltaX = e.clientX - state.startMouse.x;
+        const deltaY = e.clientY - state.startMouse.y;
+        
+        // 方向決定
+        if (!state.direction) {
+            const absX = Math.abs(deltaX);
+            const absY = Math.abs(deltaY);
+            
+            if (absX > state.threshold || absY > state.threshold) {
+                state.direction = this.resolveDirection(deltaX, deltaY);
+            }
+        } else if (this.enableDirectionReevaluation && !state.directionLocked) {
+            this.reevaluateDirection(deltaX, deltaY);
+        }
+        
+        // 自前でドラッグしている場合はマウスの移動量、それ以外はLiteGraphが動かした量
+        if (state.ownsPointer) {
+            const scale = app.canvas.ds?.scale || 1;
+            state.rawDelta = { x: deltaX / scale, y: deltaY / scale };
+        } else {
+            this.updateDragDelta();
+        }
+        
+        // 制約の適用（pointermoveごとではなくフレームごとに1回）
+        if (state.direction || state.ownsPointer) {
+            // LiteGraphが動かした分は前回の制約位置へすぐ戻し、軸から外れて描画されないようにする
+            if (!state.ownsPointer) this.placeAtAppliedDelta();
+            this.scheduleMovementConstraint();
+        }
+    }
+    
+    scheduleMovementConstraint() {
+        const state = this.shiftDragState;
+        if (state.constraintFrame) return;
+        
+        state.constraintFrame = requestAnimationFrame(() => {
+            state.constraintFrame = null;
+            if (!state.active) return;
+            
+            // pointermoveの後にLiteGraphが動かした分を移動量に加えてから適用
+            if (!state.ownsPointer) this.updateDragDelta();
+            this.applyMovementConstraint();
+        });
+    }
+    
+    cancelMovementConstraint() {
+        const state = this.shiftDragState;
+        cancelAnimationFrame(state.constraintFrame);
+        state.constraintFrame = null;
+    }
+    
+    // 前回適用した移動量の位置に置き直す（制約の計算はしない）
+    placeAtAppliedDelta() {
+        const state = this.shiftDragState;
+        const { x: dx, y: dy } = state.appliedDelta;
+        const place = (item, startPos) => {
+            item.pos[0] = startPos.x + dx;
+            item.pos[1] = startPos.y + dy;
+        };
+        state.nodeStartPositions.forEach((startPos, node) => place(node, startPos));
+        state.groupStartPositions.forEach((startPos, group) => place(group, startPos));
+        state.rerouteStartPositions.forEach((startPos, reroute) => place(reroute, startPos));
+    }
+    
+    // マウスの移動量から制限方向を決定
+    // 斜めを有効にすると8方向（水平・垂直・斜め2本の直線）から選ぶ
+    resolveDirection(deltaX, deltaY) {
+        const absX = Math.abs(deltaX);
+        const absY = Math.abs(deltaY);
+        
+        if (this.enableDiagonalLock) {
+            const angle = Math.atan2(absY, absX) * 180 / Math.PI;
+            if (angle > 22.5 && angle < 67.5) {
+                // 画面座標はy軸が下向き: 右下/左上は'diagonal-down', 右上/左下は'diagonal-up'
+                return Math.sign(deltaX) === Math.sign(deltaY) ? 'diagonal-down' : 'diagonal-up';
+            }
+        }
+        return absX > absY ? 'horizontal' : 'vertical';
+    }
+    
+    // マウスが明らかに別の方向へ動いた場合のみ制限方向を切り替える（ヒステリシス）
+    reevaluateDirection(deltaX, deltaY) {
+        const state = this.shiftDragState;
+        const candidate = this.resolveDirection(deltaX, deltaY);
+        if (candidate === state.direction) return;
+        
+        // ロック中の直線からの距離が閾値未満なら切り替えない
+        const lineAngle = { 'horizontal': 0, 'vertical': 90, 'diagonal-down': 45, 'diagonal-up': -45 }[state.direction];
+        const angle = Math.atan2(deltaY, deltaX) * 180 / Math.PI;
+        let diff = Math.abs(angle - lineAngle) % 180;
+        if (diff > 90) diff = 180 - diff;
+        
+        const distance = Math.hypot(deltaX, deltaY);
+        const offLine = distance * Math.sin(diff * Math.PI / 180);
+        if (offLine <= state.threshold) return;
+        
+        // 方向の境界（4方向なら45°、8方向なら22.5°）をヒステリシス分越えたら切り替え
+        const boundary = this.enableDiagonalLock ? 22.5 : 45;
+        if (diff > boundary + DIRECTION_HYSTERESIS) {
+            state.direction = candidate;
+        }
+    }
+    
+    // ドラッグ中のキー入力で制限方向を指定
+    handleDirectionKey(e) {
+        const state = this.shiftDragState;
+        const action = DIRECTION_TOGGLE_KEYS[e.code];
+        if (!action) return false;
+        
+        e.preventDefault();
+        e.stopPropagation();
+        e.stopImmediatePropagation();
+        if (e.repeat) return true;
+        
+        if (action === 'toggle') {
+            const toggled = {
+                'horizontal': 'vertical',
+                'vertical': 'horizontal',
+                'diagonal-down': 'diagonal-up',
+                'diagonal-up': 'diagonal-down'
+            };
+            state.direction = toggled[state.direction] ?? 'horizontal';
+        } else {
+            state.direction = action;
+        }
+        state.directionLocked = true;
+        
+        this.updateDragDelta();
+        this.applyMovementConstraint();
+        return true;
+    }
+    
+    // LiteGraphがドラッグで動かした量を累積（制約前の移動量）
+    updateDragDelta() {
+        const state = this.shiftDragState;
+        const reference = state.reference;
+        if (!reference) return;
+        
+        const movedX = reference.item.pos[0] - reference.start.x;
+        const movedY = reference.item.pos[1] - reference.start.y;
+        
+        // 前回書き戻した位置からの差分がLiteGraphによる今回の移動量
+        state.rawDelta.x += movedX - state.appliedDelta.x;
+        state.rawDelta.y += movedY - state.appliedDelta.y;
+        
+        if (!state.direction) {
+            state.appliedDelta = { x: movedX, y: movedY };
+        }
+    }
+    
+    // 制約方向への射影とグリッド吸着を適用した移動量
+    getConstrainedDelta() {
+        const state = this.shiftDragState;
+        if (state.canceled) return { x: 0, y: 0 };
+        
+        let dx = state.rawDelta.x;
+        let dy = state.rawDelta.y;
+        
+        // 制限方向の直線へ射影（斜めは45°）
+        const diagonalSign = { 'diagonal-down': 1, 'diagonal-up': -1 }[state.direction];
+        if (state.direction === 'horizontal') {
+            dy = 0;
+        } else if (state.direction === 'vertical') {
+            dx = 0;
+        } else if (diagonalSign) {
+            const t = (dx + dy * diagonalSign) / 2;
+            dx = t;
+            dy = t * diagonalSign;
+        }
+        
+        // スマートガイドへの吸着を優先
+        if (this.enableSmartGuides) {
+            if (state.direction === 'horizontal') {
+                const snapped = this.snapToGuides(0, dx);
+                if (snapped !== null) return { x: snapped, y: dy };
+            } else if (state.direction === 'vertical') {
+                const snapped = this.snapToGuides(1, dy);
+                if (snapped !== null) return { x: dx, y: snapped };
+            }
+        }
+        
+        if (this.enableGridSnap) {
+            const gridSize = this.getGridSize();
+            const anchor = state.anchorStart;
+            if (dx !== 0) dx = snapToGrid(anchor.x + dx, gridSize) - anchor.x;
+            if (diagonalSign) dy = dx * diagonalSign; // 斜めはx方向の吸着に合わせる
+            else if (dy !== 0) dy = snapToGrid(anchor.y + dy, gridSize) - anchor.y;
+        }
+        
+        return { x: dx, y: dy };
+    }
+    
+    // 全ノード（直接選択 + グループ内）とグループを開始位置 + 制約後の移動量へ配置
+    applyMovementConstraint() {
+        const state = this.shiftDragState;
+        const start = performance.now();
+        const delta = this.getConstrainedDelta();
+        let constraintApplied = false;
+        
+        // 押し出し・衝突停止（開始位置から計算するため、戻せば元の位置に戻る）
+        if (state.collision) {
+            const axis = { horizontal: 0, vertical: 1 }[state.direction];
+            const { moverBounds, units } = state.collision;
+            const result = axis === undefined
+                ? { delta: 0, offsets: units.map(() => 0) }
+                : resolveAxisCollisions(
+                    moverBounds, units.map(unit => unit.bounds),
+                    axis, axis === 0 ? delta.x : delta.y, this.collisionMode, COLLISION_GAP,
+                    units.map(unit => unit.pinned)
+                );
+            
+            if (axis === 0) delta.x = result.delta;
+            else if (axis === 1) delta.y = result.delta;
+            
+            units.forEach((unit, index) => {
+                const offset = result.offsets[index];
+                unit.startPositions.forEach((startPos, item) => {
+                    const x = startPos.x + (axis === 0 ? offset : 0);
+                    const y = startPos.y + (axis === 1 ? offset : 0);
+                    if (item.pos[0] !== x || item.pos[1] !== y) {
+                        item.pos[0] = x;
+                        item.pos[1] = y;
+                        constraintApplied = true;
+                    }
+                });
+            });
+        }
+        
+        const place = (item, startPos) => {
+            const x = startPos.x + delta.x;
+            const y = startPos.y + delta.y;
+            if (item.pos[0] !== x || item.pos[1] !== y) {
+                item.pos[0] = x;
+                item.pos[1] = y;
+                constraintApplied = true;
+            }
+        };
+        state.nodeStartPositions.forEach((startPos, node) => place(node, startPos));
+        state.groupStartPositions.forEach((startPos, group) => place(group, startPos));
+        state.rerouteStartPositions.forEach((startPos, reroute) => place(reroute, startPos));
+        
+        state.appliedDelta = delta;
+        this.updateGuideLines(delta);
+        this.updateMembershipHints(state.targets);
+        this.recordMoveCost(start, state.targets);
+        
+        if (constraintApplied) {
+            app.canvas.setDirty(true, true);
+        }
+    }
+    
+    // ===============================================
+    // スマートガイド
+    // ===============================================
+    // 自由軸（axis: 0=x, 1=y）の移動量を最も近いガイドへ吸着（範囲内になければnull）
+    snapToGuides(axis, delta) {
+        const state = this.shiftDragState;
+        if (!state.movingBounds) return null;
+        
+        const maxDistance = this.smartGuideDistance / (app.canvas.ds?.scale || 1);
+        const movingLines = getAxisLines(state.movingBounds, axis);
+        let best = null;
+        
+        state.guideTargets.forEach(bounds => {
+            getAxisLines(bounds, axis).forEach(line => {
+                movingLines.forEach(edge => {
+                    const offset = line - (edge + delta);
+                    if (Math.abs(offset) <= maxDistance && (best === null || Math.abs(offset) < Math.abs(best))) {
+                        best = offset;
+                    }
+                });
+            });
+        });
+        
+        return best === null ? null : delta + best;
+    }
+    
+    // 移動後の外接矩形の辺・中心と一致する線をガイドとして記録
+    updateGuideLines(delta) {
+        const state = this.shiftDragState;
+        this.guideLines = [];
+        
+        const axis = { horizontal: 0, vertical: 1 }[state.direction];
+        if (!this.enableSmartGuides || axis === undefined || !state.movingBounds) return;
+        
+        const [x, y, w, h] = state.movingBounds;
+        const moving = [x + delta.x, y + delta.y, w, h];
+        const movingLines = getAxisLines(moving, axis);
+        const other = 1 - axis;
+        
+        state.guideTargets.forEach(bounds => {
+            getAxisLines(bounds, axis).forEach(line => {
+                if (!movingLines.some(edge => Math.abs(edge - line) < 0.5)) return;
+                
+                // 2つの矩形にまたがる長さで描画
+                this.guideLines.push({
+                    axis: axis === 0 ? 'x' : 'y',
+                    value: line,
+                    from: Math.min(moving[other], bounds[other]),
+                    to: Math.max(moving[other] + moving[other + 2], bounds[other] + bounds[other + 2])
+                });
+            });
+        });
+    }
+    
+    // ===============================================
+    // キャンバスへのオーバーレイ描画（グラフ座標）
+    // ===============================================
+    drawOverlay(ctx) {
+        this.drawGuideLines(ctx);
+        this.drawMembershipHints(ctx);
+        this.drawMeasurementHud(ctx);
+        this.drawSnapshotComparison(ctx);
+    }
+    
+    drawMembershipHints(ctx) {
+        if (this.membershipHints.length === 0) return;
+        
+        const scale = app.canvas.ds?.scale || 1;
+        ctx.save();
+        ctx.lineWidth = 3 / scale;
+        this.membershipHints.forEach(({ group, type }) => {
+            ctx.strokeStyle = type === 'enter' ? GROUP_ENTER_COLOR : GROUP_LEAVE_COLOR;
+            ctx.setLineDash(type === 'enter' ? [] : [8 / scale, 6 / scale]);
+            ctx.strokeRect(...this.getGroupBounds(group));
+        });
+        ctx.restore();
+    }
+    
+    drawGuideLines(ctx) {
+        if (this.guideLines.length === 0) return;
+        
+        const scale = app.canvas.ds?.scale || 1;
+        ctx.save();
+        ctx.strokeStyle = GUIDE_COLOR;
+        ctx.lineWidth = 1 / scale;
+        ctx.setLineDash([4 / scale, 4 / scale]);
+        ctx.beginPath();
+        this.guideLines.forEach(({ axis, value, from, to }) => {
+            if (axis === 'x') {
+                ctx.moveTo(value, from);
+                ctx.lineTo(value, to);
+            } else {
+                ctx.moveTo(from, value);
+                ctx.lineTo(to, value);
+            }
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    endShiftDrag() {
+        const state = this.shiftDragState;
+        const targets = state.targets;
+        if (targets) {
+            // 複製は元の位置から離れてからグループの所属を決める
+            if (state.cloned) {
+                this.getGraphGroups().forEach(group => group.recomputeInsideNodes?.());
+                this.invalidateGestureCache();
+            }
+            if (this.enableGroupAutoExpand) this.expandGroupsToFit(targets);
+            this.applyGroupMembership();
+            
+            const { x, y } = state.appliedDelta;
+            if (!state.canceled && (x !== 0 || y !== 0)) {
+                this.dispatchMoveEvent('afterMove', targets, x, y, 'drag');
+            }
+        }
+        this.resetShiftDrag();
+        this.endGesture('drag');
+        
+        // LiteGraph側のpointerup処理が終わってから履歴を確定
+        requestAnimationFrame(() => this.endChange('drag'));
+    }
+    
+    resetShiftDrag() {
+        const state = this.shiftDragState;
+        state.active = false;
+        state.direction = null;
+        state.directionLocked = false;
+        state.ownsPointer = false;
+        state.pointerId = null;
+        state.nodeStartPositions.clear();
+        state.groupStartPositions.clear();
+        state.rerouteStartPositions.clear();
+        state.reference = null;
+        state.movingBounds = null;
+        state.guideTargets = [];
+        state.collision = null;
+        state.targets = null;
+        state.canceled = false;
+        state.cloned = false;
+        this.cancelMovementConstraint();
+        
+        if (this.guideLines.length > 0) {
+            this.guideLines = [];
+            app.canvas.setDirty(true, true);
+        }
+    }
+    
+    // ===============================================
+    // 自動スクロール
+    // ===============================================
+    // 表示領域（グラフ座標） [x, y, w, h]
+    getViewportBounds() {
+        const ds = app.canvas.ds;
+        const rect = app.canvasEl.getBoundingClientRect();
+        return [-ds.offset[0], -ds.offset[1], rect.width / ds.scale, rect.height / ds.scale];
+    }
+    
+    panToSelection() {
+        const units = this.getSelectionUnits();
+        if (units.length === 0) return;
+        this.panToBounds(unionBounds(units.map(unit => unit.bounds)));
+    }
+    
+    // 矩形が余白付きで表示領域に収まるようにキャンバスをスクロール
+    panToBounds([x, y, w, h]) {
+        const ds = app.canvas.ds;
+        const [viewX, viewY, viewW, viewH] = this.getViewportBounds();
+        const margin = this.autoPanMargin / ds.scale;
+        
+        // 表示領域より大きい場合は左上を優先
+        const panAxis = (start, size, viewStart, viewSize) => {
+            if (start - margin < viewStart) return start - margin - viewStart;
+            if (start + size + margin > viewStart + viewSize) {
+                return Math.min(start + size + margin - (viewStart + viewSize), start - margin - viewStart);
+            }
+            return 0;
+        };
+        const panX = panAxis(x, w, viewX, viewW);
+        const panY = panAxis(y, h, viewY, viewH);
+        if (panX === 0 && panY === 0) return false;
+        
+        ds.offset[0] -= panX;
+        ds.offset[1] -= panY;
+        
+        // 画面上の選択オーバーレイはスクロールと逆方向に動く
+        this.updateSelectionOverlay(-panX, -panY);
+        app.canvas.setDirty(true, true);
+        return true;
+    }
+    
+    // ===============================================
     // 選択オーバーレイの同期
     // ===============================================
     updateSelectionOverlay(dx, dy) {
@@ -479,21 +3102,260 @@ class MovementManager {
     }
 }
 
-// ===============================================
-// 設定項目の定義
-// ===============================================
-const enableArrowMoveSetting = {
-    name: "Enable Arrow Key Node Movement",
-    id: _name("EnableArrowMove"),
+// ===============================================
+// 設定項目の定義
+// ===============================================
+const enableArrowMoveSetting = {
+    name: "Enable Arrow Key Node Movement",
+    id: _name("EnableArrowMove"),
+    type: "boolean",
+    defaultValue: true, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.enableArrowMove = value;
+        }
+    },
+};
+
+const enableAxisLockSetting = {
+    name: "Enable Axis Lock Drag",
+    id: _name("EnableAxisLock"),
+    type: "boolean",
+    defaultValue: true, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.enableAxisLock = value;
+        }
+    },
+};
+
+const enableSelectionNavigationSetting = {
+    name: "Enable ALT+ARROW key Selection Navigation",
+    id: _name("EnableSelectionNavigation"),
+    type: "boolean",
+    defaultValue: true, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.enableSelectionNavigation = value;
+        }
+    },
+};
+
+const enableKeyboardResizeSetting = {
+    name: "Enable CTRL+ALT+ARROW key Resize",
+    id: _name("EnableKeyboardResize"),
     type: "boolean",
     defaultValue: true, 
     onChange: (value) => {
         if (movementManager) {
-            movementManager.enableArrowMove = value;
+            movementManager.enableKeyboardResize = value;
+        }
+    },
+};
+
+const enableAutoPanSetting = {
+    name: "Auto-pan Canvas to Follow ARROW key Moves",
+    id: _name("EnableAutoPan"),
+    type: "boolean",
+    defaultValue: false, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.enableAutoPan = value;
+        }
+    },
+};
+
+const autoPanMarginSetting = {
+    name: "Auto-pan Margin (px)", 
+    id: _name("autoPanMargin"), 
+    type: "slider", 
+    defaultValue: 50, 
+    attrs: { min: 0, max: 400, step: 1 }, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.autoPanMargin = value;
+        }
+    }, 
+};
+
+const enableSmoothMoveSetting = {
+    name: "Smooth (Animated) ARROW key Moves",
+    id: _name("EnableSmoothMove"),
+    type: "boolean",
+    defaultValue: false, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.enableSmoothMove = value;
+        }
+    },
+};
+
+const smoothMoveMaxSpeedSetting = {
+    name: "Smooth Move Max Speed (x base speed)", 
+    id: _name("smoothMoveMaxSpeed"), 
+    type: "slider", 
+    defaultValue: 4, 
+    attrs: { min: 1, max: 10, step: 0.5 }, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.smoothMoveMaxSpeed = value;
+        }
+    }, 
+};
+
+const enableMeasurementHudSetting = {
+    name: "Show Measurement HUD while Moving",
+    id: _name("EnableMeasurementHud"),
+    type: "boolean",
+    defaultValue: true, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.enableMeasurementHud = value;
+        }
+    },
+};
+
+const showNeighborDistanceSetting = {
+    name: "Show Gap to Nearest Node in Measurement HUD",
+    id: _name("ShowNeighborDistance"),
+    type: "boolean",
+    defaultValue: false, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.showNeighborDistance = value;
+        }
+    },
+};
+
+const enableGroupMembershipUpdateSetting = {
+    name: "Update Group Membership after Moves",
+    id: _name("EnableGroupMembershipUpdate"),
+    type: "boolean",
+    defaultValue: false, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.enableGroupMembershipUpdate = value;
+        }
+    },
+};
+
+const enableGroupAutoExpandSetting = {
+    name: "Expand Group to Fit Member Node Moved past its Edge",
+    id: _name("EnableGroupAutoExpand"),
+    type: "boolean",
+    defaultValue: false, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.enableGroupAutoExpand = value;
         }
     },
 };
 
+const collisionModeSetting = {
+    name: "When Moved Nodes Collide", 
+    id: _name("collisionMode"), 
+    type: "combo", 
+    defaultValue: "off", 
+    options: [
+        { text: "Overlap", value: "off" },
+        { text: "Push aside", value: "push" },
+        { text: "Stop at collision", value: "stop" }
+    ], 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.collisionMode = value;
+        }
+    }, 
+};
+
+const chainDirectionSetting = {
+    name: "Linked Nodes to Move with Chain Modifier", 
+    id: _name("chainDirection"), 
+    type: "combo", 
+    defaultValue: "both", 
+    options: ["upstream", "downstream", "both"], 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.chainDirection = value;
+        }
+    }, 
+};
+
+const enableLongPressAxisLockSetting = {
+    name: "Long-press to Start Axis Lock Drag (Touch / Pen)", 
+    id: _name("enableLongPressAxisLock"), 
+    type: "boolean", 
+    defaultValue: true, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.enableLongPressAxisLock = value;
+        }
+    }, 
+};
+
+const showAxisLockButtonSetting = {
+    name: "Show Axis Lock Button for Touch / Pen", 
+    id: _name("showAxisLockButton"), 
+    type: "boolean", 
+    defaultValue: false, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.showAxisLockButton = value;
+            if (movementManager.isInitialized) movementManager.updateAxisLockButton();
+        }
+    }, 
+};
+
+const benchmarkModeSetting = {
+    name: "Benchmark Mode (log per-move cost to console)", 
+    id: _name("benchmarkMode"), 
+    type: "boolean", 
+    defaultValue: false, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.benchmarkMode = value;
+        }
+    }, 
+};
+
+const duplicateKeepLinksSetting = {
+    name: "Keep Input Links when Duplicating", 
+    id: _name("duplicateKeepLinks"), 
+    type: "boolean", 
+    defaultValue: false, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.duplicateKeepLinks = value;
+        }
+    }, 
+};
+
+const arrayDuplicateCountSetting = {
+    name: "Array Duplicate Copies", 
+    id: _name("arrayDuplicateCount"), 
+    type: "slider", 
+    defaultValue: 3, 
+    attrs: { min: 1, max: 20, step: 1 }, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.arrayDuplicateCount = value;
+        }
+    }, 
+};
+
+const chainHopsSetting = {
+    name: "Linked Nodes Max Hops (0 = unlimited)", 
+    id: _name("chainHops"), 
+    type: "slider", 
+    defaultValue: 0, 
+    attrs: { min: 0, max: 20, step: 1 }, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.chainHops = value;
+        }
+    }, 
+};
+
 const moveStepsSetting = {
     name: "Move Steps with ARROW key",
     id: _name("moveSteps"),
@@ -533,6 +3395,453 @@ const moveStepsCtrlSetting = {
     }, 
 };
 
+const resizeStepsSetting = {
+    name: "Resize Steps with CTRL+ALT+ARROW key", 
+    id: _name("resizeSteps"), 
+    type: "slider", 
+    defaultValue: 20, 
+    attrs: { min: 1, max: 400, step: 1 }, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.resizeSteps = value;
+        }
+    }, 
+};
+
+const distributeGapSetting = {
+    name: "Distribute Gap (0 = equal spacing)", 
+    id: _name("distributeGap"), 
+    type: "slider", 
+    defaultValue: 0, 
+    attrs: { min: 0, max: 400, step: 1 }, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.distributeGap = value;
+        }
+    }, 
+};
+
+const enableGridSnapSetting = {
+    name: "Snap to Grid with ARROW key and SHIFT+Drag", 
+    id: _name("enableGridSnap"), 
+    type: "boolean", 
+    defaultValue: false, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.enableGridSnap = value;
+        }
+    }, 
+};
+
+const gridSizeSetting = {
+    name: "Grid Size (0 = LiteGraph grid size)", 
+    id: _name("gridSize"), 
+    type: "slider", 
+    defaultValue: 0, 
+    attrs: { min: 0, max: 400, step: 1 }, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.gridSize = value;
+        }
+    }, 
+};
+
+const enableDiagonalLockSetting = {
+    name: "Allow Diagonal (45°) Lock with SHIFT+Drag", 
+    id: _name("enableDiagonalLock"), 
+    type: "boolean", 
+    defaultValue: false, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.enableDiagonalLock = value;
+        }
+    }, 
+};
+
+const dragThresholdSetting = {
+    name: "SHIFT+Drag Lock Threshold (px)", 
+    id: _name("dragThreshold"), 
+    type: "slider", 
+    defaultValue: 10, 
+    attrs: { min: 1, max: 50, step: 1 }, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.shiftDragState.threshold = value;
+        }
+    }, 
+};
+
+const enableDirectionReevaluationSetting = {
+    name: "Re-evaluate Lock Direction during SHIFT+Drag", 
+    id: _name("enableDirectionReevaluation"), 
+    type: "boolean", 
+    defaultValue: true, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.enableDirectionReevaluation = value;
+        }
+    }, 
+};
+
+const enableSmartGuidesSetting = {
+    name: "Show Smart Guides with SHIFT+Drag", 
+    id: _name("enableSmartGuides"), 
+    type: "boolean", 
+    defaultValue: true, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.enableSmartGuides = value;
+        }
+    }, 
+};
+
+const smartGuideDistanceSetting = {
+    name: "Smart Guide Snap Distance (px, 0 = no snap)", 
+    id: _name("smartGuideDistance"), 
+    type: "slider", 
+    defaultValue: 8, 
+    attrs: { min: 0, max: 50, step: 1 }, 
+    onChange: (value) => {
+        if (movementManager) {
+            movementManager.smartGuideDistance = value;
+        }
+    }, 
+};
+
+// キー割り当て
+const keyLayoutSetting = {
+    name: "Move Keys", 
+    id: _name("keyLayout"), 
+    type: "combo", 
+    defaultValue: "Arrows", 
+    options: [...Object.keys(KEY_LAYOUTS), "Custom"], 
+    onChange: (value) => applyKeyBindingSettings({ layout: value }), 
+};
+
+const customKeysSetting = {
+    name: "Custom Move Keys (up,down,left,right)", 
+    id: _name("customKeys"), 
+    type: "text", 
+    defaultValue: "i,k,j,l", 
+    onChange: (value) => applyKeyBindingSettings({ customKeys: value }), 
+};
+
+const largeStepModifierSetting = {
+    name: "Large Step Modifier", 
+    id: _name("largeStepModifier"), 
+    type: "combo", 
+    defaultValue: "Shift", 
+    options: Object.keys(MODIFIER_KEYS), 
+    onChange: (value) => applyKeyBindingSettings({ largeStepModifier: value }), 
+};
+
+const fineStepModifierSetting = {
+    name: "Fine Step Modifier", 
+    id: _name("fineStepModifier"), 
+    type: "combo", 
+    defaultValue: "Ctrl", 
+    options: Object.keys(MODIFIER_KEYS), 
+    onChange: (value) => applyKeyBindingSettings({ fineStepModifier: value }), 
+};
+
+const axisLockModifierSetting = {
+    name: "Axis Lock Drag Modifier", 
+    id: _name("axisLockModifier"), 
+    type: "combo", 
+    defaultValue: "Shift", 
+    options: Object.keys(MODIFIER_KEYS), 
+    onChange: (value) => applyKeyBindingSettings({ axisLockModifier: value }), 
+};
+
+const chainModifierSetting = {
+    name: "Move with Linked Nodes Modifier", 
+    id: _name("chainModifier"), 
+    type: "combo", 
+    defaultValue: "Ctrl+Shift", 
+    options: CHAIN_MODIFIERS, 
+    onChange: (value) => applyKeyBindingSettings({ chainModifier: value }), 
+};
+
+const keyBindingSettings = [
+    keyLayoutSetting, 
+    customKeysSetting, 
+    largeStepModifierSetting, 
+    fineStepModifierSetting, 
+    axisLockModifierSetting, 
+    chainModifierSetting
+];
+
+// changed: 変更された設定の新しい値（onChangeは新しい値が保存される前に呼ばれるため）
+function applyKeyBindingSettings(changed = {}) {
+    if (!movementManager) return;
+    
+    const getValue = (setting) => app.ui.settings.getSettingValue(setting.id) ?? setting.defaultValue;
+    movementManager.updateKeyBindings({
+        layout: getValue(keyLayoutSetting),
+        customKeys: getValue(customKeysSetting),
+        largeStepModifier: getValue(largeStepModifierSetting),
+        fineStepModifier: getValue(fineStepModifierSetting),
+        axisLockModifier: getValue(axisLockModifierSetting),
+        chainModifier: getValue(chainModifierSetting),
+        ...changed
+    });
+    
+    if (movementManager.isInitialized) {
+        movementManager.reportKeyBindingConflicts();
+    }
+}
+
+// ===============================================
+// コマンドの定義
+// ===============================================
+const alignCommands = [
+    { mode: "left",             label: "Align Left",                key: "l" },
+    { mode: "right",            label: "Align Right",               key: "r" },
+    { mode: "top",              label: "Align Top",                 key: "t" },
+    { mode: "bottom",           label: "Align Bottom",              key: "b" },
+    { mode: "centerHorizontal", label: "Align Center (Horizontal)", key: "h" },
+    { mode: "centerVertical",   label: "Align Center (Vertical)",   key: "v" },
+].map(({ mode, label, key }) => ({
+    id: _name(`Align.${mode}`),
+    label,
+    combo: { key, alt: true, shift: true },
+    function: () => movementManager?.alignSelection(mode)
+}));
+
+const distributeCommands = [
+    { axis: "horizontal", mode: "gap",    label: "Distribute Horizontally" },
+    { axis: "vertical",   mode: "gap",    label: "Distribute Vertically" },
+    { axis: "horizontal", mode: "center", label: "Distribute Centers Horizontally" },
+    { axis: "vertical",   mode: "center", label: "Distribute Centers Vertically" },
+].map(({ axis, mode, label }) => ({
+    id: _name(`Distribute.${axis}.${mode}`),
+    label,
+    function: () => movementManager?.distributeSelection(axis, mode)
+}));
+
+const arrayDuplicateCommands = ["right", "down", "left", "up"].map(direction => ({
+    id: _name(`ArrayDuplicate.${direction}`),
+    label: `Array Duplicate ${direction[0].toUpperCase()}${direction.slice(1)}`,
+    function: () => movementManager?.arrayDuplicate(direction)
+}));
+
+const tidyCommand = {
+    id: _name("TidySelection"),
+    label: "Tidy Selection into Dataflow Columns",
+    function: () => movementManager?.tidySelection()
+};
+
+const moveCommands = ["up", "down", "left", "right"].flatMap(direction => [
+    { stepKind: "normal", suffix: "" },
+    { stepKind: "large",  suffix: " (Large Step)" },
+    { stepKind: "fine",   suffix: " (Fine Step)" },
+].map(({ stepKind, suffix }) => ({
+    id: _name(`Move.${direction}.${stepKind}`),
+    label: `Move ${direction[0].toUpperCase()}${direction.slice(1)}${suffix}`,
+    function: () => movementManager?.moveInDirection(direction, stepKind)
+})));
+
+// 設定のON/OFFを切り替え
+function toggleSetting(setting) {
+    const value = app.ui.settings.getSettingValue(setting.id);
+    app.ui.settings.setSettingValue(setting.id, !value);
+}
+
+const toggleCommands = [
+    {
+        id: _name("ToggleArrowMove"),
+        label: "Toggle Arrow Key Movement",
+        function: () => toggleSetting(enableArrowMoveSetting)
+    },
+    {
+        id: _name("ToggleAxisLock"),
+        label: "Toggle Axis Lock Drag",
+        function: () => toggleSetting(enableAxisLockSetting)
+    }
+];
+
+// スナップショット名の入力（新しいフロントエンドのダイアログがなければwindow.prompt）
+async function promptSnapshotName() {
+    const defaultValue = `Layout ${(movementManager?.getSnapshots().length ?? 0) + 1}`;
+    const dialog = app.extensionManager?.dialog;
+    const name = dialog?.prompt
+        ? await dialog.prompt({ title: "Linear Move", message: "Snapshot name", defaultValue })
+        : window.prompt("Snapshot name", defaultValue);
+    return name?.trim() || null;
+}
+
+async function saveSnapshot(selectionOnly) {
+    if (!movementManager) return;
+    const name = await promptSnapshotName();
+    if (name) movementManager.saveSnapshot(name, selectionOnly);
+}
+
+const snapshotCommands = [
+    {
+        id: _name("SaveLayoutSnapshot"),
+        label: "Save Layout Snapshot",
+        function: () => saveSnapshot(false)
+    },
+    {
+        id: _name("SaveSelectionLayoutSnapshot"),
+        label: "Save Selection Layout Snapshot",
+        function: () => saveSnapshot(true)
+    },
+    {
+        id: _name("RestoreLastLayoutSnapshot"),
+        label: "Restore Last Layout Snapshot",
+        function: () => {
+            const snapshot = movementManager?.getSnapshots().at(-1);
+            if (snapshot) movementManager.restoreSnapshot(snapshot.name);
+        }
+    }
+];
+
+const linearMoveCommands = [...moveCommands, ...alignCommands, ...distributeCommands, tidyCommand, ...arrayDuplicateCommands, ...toggleCommands, ...snapshotCommands];
+
+// 右クリックメニュー
+function getSubmenu(content, commands) {
+    return {
+        content,
+        has_submenu: true,
+        submenu: {
+            options: commands.map(command => ({
+                content: command.label,
+                callback: () => command.function()
+            }))
+        }
+    };
+}
+
+// 保存したスナップショットごとに復元・比較・削除
+function getSnapshotMenu() {
+    const snapshots = movementManager?.getSnapshots() ?? [];
+    const options = snapshotCommands.map(command => ({
+        content: command.label,
+        callback: () => command.function()
+    }));
+    
+    if (snapshots.length > 0) options.push(null);
+    snapshots.forEach(({ name }) => {
+        const comparing = movementManager.comparingSnapshot === name;
+        options.push(getSubmenu(name, [
+            { label: "Restore", function: () => movementManager.restoreSnapshot(name) },
+            {
+                label: `${comparing ? "✓ " : ""}Compare`,
+                function: () => comparing ? movementManager.stopComparingSnapshot() : movementManager.compareSnapshot(name)
+            },
+            { label: "Delete", function: () => movementManager.deleteSnapshot(name) }
+        ]));
+    });
+    
+    return { content: "Snapshots", has_submenu: true, submenu: { options } };
+}
+
+function getLinearMoveMenu() {
+    const checked = (setting) => app.ui.settings.getSettingValue(setting.id) ? "✓ " : "";
+    
+    return {
+        content: "Linear Move",
+        has_submenu: true,
+        submenu: {
+            options: [
+                getSubmenu("Move", moveCommands),
+                getSubmenu("Align", alignCommands),
+                getSubmenu("Distribute", distributeCommands),
+                {
+                    content: tidyCommand.label,
+                    callback: () => tidyCommand.function()
+                },
+                getSubmenu("Array Duplicate", arrayDuplicateCommands),
+                getSnapshotMenu(),
+                null,
+                {
+                    content: `${checked(enableArrowMoveSetting)}Arrow Key Movement`,
+                    callback: () => toggleSetting(enableArrowMoveSetting)
+                },
+                {
+                    content: `${checked(enableAxisLockSetting)}Axis Lock Drag`,
+                    callback: () => toggleSetting(enableAxisLockSetting)
+                }
+            ]
+        }
+    };
+}
+
+// ===============================================
+// 公開API（window.LinearMove）
+// ===============================================
+// 互換性のない変更をする場合のみ上げる
+const API_VERSION = 1;
+
+function createPublicApi(manager) {
+    const toArrays = targets => ({
+        nodes: [...targets.nodes],
+        groups: [...targets.groups],
+        reroutes: [...targets.reroutes]
+    });
+    
+    return Object.freeze({
+        version: API_VERSION,
+        
+        // 選択中（elementsを渡した場合はそれら）のノード・グループ・リルートを移動
+        // 1回の移動が1つの履歴になる。移動しなかった場合はfalse
+        move(dx, dy, { elements, chain = false } = {}) {
+            // 矢印キーの連打とは別の操作なので、移動量の表示やグループ所属はこの呼び出しの中で確定
+            manager.flushArrowGesture();
+            manager.beginChange('command');
+            const moved = manager.moveElements(dx, dy, { elements, chain, source: 'api' });
+            manager.commitArrowGroupMembership();
+            manager.endArrowMeasurement();
+            manager.endChange('command');
+            return moved;
+        },
+        
+        // direction: 'up' | 'down' | 'left' | 'right'、stepKind: 'normal' | 'large' | 'fine'
+        // 設定の移動量・グリッド吸着に従って選択を移動（連続した移動は1つの履歴にまとめる）
+        moveInDirection(direction, stepKind = 'normal', { chain = false } = {}) {
+            if (!DIRECTION_VECTORS[direction]) return false;
+            return manager.moveInDirection(direction, stepKind, { chain, source: 'api' });
+        },
+        
+        getStep(stepKind = 'normal') {
+            return manager.getStep(stepKind);
+        },
+        
+        // { nodes, groups, reroutes }（操作中に使い回している配列を書き換えられないようコピーを返す）
+        getSelection() {
+            return toArrays(manager.getSelectedElements());
+        },
+        
+        // 実際に動く要素（グループの配下・連結ノードを含み、ピン留めされたものを除く）
+        collectMoveTargets({ nodes = [], groups = [], reroutes = [] } = {}, { chain = false } = {}) {
+            return toArrays(manager.collectMoveTargets(nodes, groups, { chain, reroutes }));
+        },
+        
+        // ネストしたグループも含めたグループ内のノード
+        getNodesInGroup(group) {
+            return [...new Set(manager.getAllNodesInGroupRecursive(group))];
+        },
+        
+        // グループ自身とネストしたグループ
+        getGroupsInGroup(group) {
+            return manager.getAllGroupsRecursive(group);
+        },
+        
+        // type: 'beforeMove'（preventDefault()で取り消し可能） | 'afterMove'
+        // event.detail: { nodes, groups, reroutes, dx, dy, source: 'keyboard' | 'drag' | 'api' }
+        // 送られるのは矢印キー・ドラッグ・APIによる移動のみ（整列・等間隔配置・データフロー整列・
+        // スナップショットの復元・サイズ変更・Array Duplicateでは送られず、取り消すこともできない）
+        addEventListener(type, listener, options) {
+            manager.events.addEventListener(type, listener, options);
+        },
+        
+        removeEventListener(type, listener, options) {
+            manager.events.removeEventListener(type, listener, options);
+        }
+    });
+}
+
 // ===============================================
 // グローバルインスタンスと拡張機能登録
 // ===============================================
@@ -547,22 +3856,98 @@ const extension = {
     
     settings: [
         enableArrowMoveSetting, 
+        enableAxisLockSetting, 
+        enableSelectionNavigationSetting, 
+        enableKeyboardResizeSetting, 
+        enableAutoPanSetting, 
+        autoPanMarginSetting, 
+        enableSmoothMoveSetting, 
+        smoothMoveMaxSpeedSetting, 
+        enableMeasurementHudSetting, 
+        showNeighborDistanceSetting, 
+        collisionModeSetting, 
+        enableGroupMembershipUpdateSetting, 
+        enableGroupAutoExpandSetting, 
+        chainDirectionSetting, 
+        chainHopsSetting, 
+        duplicateKeepLinksSetting, 
+        arrayDuplicateCountSetting, 
         moveStepsSetting, 
         moveStepsShiftSetting, 
-        moveStepsCtrlSetting
+        moveStepsCtrlSetting, 
+        resizeStepsSetting, 
+        distributeGapSetting, 
+        enableGridSnapSetting, 
+        gridSizeSetting, 
+        enableSmartGuidesSetting, 
+        smartGuideDistanceSetting, 
+        enableDiagonalLockSetting, 
+        dragThresholdSetting, 
+        enableDirectionReevaluationSetting, 
+        enableLongPressAxisLockSetting, 
+        showAxisLockButtonSetting, 
+        benchmarkModeSetting, 
+        ...keyBindingSettings
     ].slice().reverse(),
     
+    commands: linearMoveCommands.map(({ id, label, function: fn }) => ({ id, label, function: fn })),
+    
+    keybindings: linearMoveCommands
+        .filter(command => command.combo)
+        .map(({ id, combo }) => ({ combo, commandId: id })),
+    
+    // グループの右クリックメニューもキャンバスのメニューに含まれる
+    getCanvasMenuItems: function(canvas) {
+        return [null, getLinearMoveMenu()];
+    },
+    
+    getNodeMenuItems: function(node) {
+        return [null, getLinearMoveMenu()];
+    },
+    
     setup: async function(app) {
         if (!movementManager) return;
         
         // 設定を読み込み
         movementManager.enableArrowMove = app.ui.settings.getSettingValue(enableArrowMoveSetting.id);
+        movementManager.enableAxisLock = app.ui.settings.getSettingValue(enableAxisLockSetting.id);
+        movementManager.enableSelectionNavigation = app.ui.settings.getSettingValue(enableSelectionNavigationSetting.id);
+        movementManager.enableKeyboardResize = app.ui.settings.getSettingValue(enableKeyboardResizeSetting.id);
+        movementManager.enableAutoPan = app.ui.settings.getSettingValue(enableAutoPanSetting.id);
+        movementManager.autoPanMargin = app.ui.settings.getSettingValue(autoPanMarginSetting.id);
+        movementManager.enableSmoothMove = app.ui.settings.getSettingValue(enableSmoothMoveSetting.id);
+        movementManager.smoothMoveMaxSpeed = app.ui.settings.getSettingValue(smoothMoveMaxSpeedSetting.id);
+        movementManager.enableMeasurementHud = app.ui.settings.getSettingValue(enableMeasurementHudSetting.id);
+        movementManager.showNeighborDistance = app.ui.settings.getSettingValue(showNeighborDistanceSetting.id);
+        movementManager.collisionMode = app.ui.settings.getSettingValue(collisionModeSetting.id);
+        movementManager.enableGroupMembershipUpdate = app.ui.settings.getSettingValue(enableGroupMembershipUpdateSetting.id);
+        movementManager.enableGroupAutoExpand = app.ui.settings.getSettingValue(enableGroupAutoExpandSetting.id);
+        movementManager.chainDirection = app.ui.settings.getSettingValue(chainDirectionSetting.id);
+        movementManager.chainHops = app.ui.settings.getSettingValue(chainHopsSetting.id);
+        movementManager.duplicateKeepLinks = app.ui.settings.getSettingValue(duplicateKeepLinksSetting.id);
+        movementManager.benchmarkMode = app.ui.settings.getSettingValue(benchmarkModeSetting.id);
+        movementManager.enableLongPressAxisLock = app.ui.settings.getSettingValue(enableLongPressAxisLockSetting.id);
+        movementManager.showAxisLockButton = app.ui.settings.getSettingValue(showAxisLockButtonSetting.id);
+        movementManager.arrayDuplicateCount = app.ui.settings.getSettingValue(arrayDuplicateCountSetting.id);
         movementManager.moveSteps = app.ui.settings.getSettingValue(moveStepsSetting.id);
         movementManager.moveStepsShift = app.ui.settings.getSettingValue(moveStepsShiftSetting.id);
         movementManager.moveStepsCtrl = app.ui.settings.getSettingValue(moveStepsCtrlSetting.id);
+        movementManager.resizeSteps = app.ui.settings.getSettingValue(resizeStepsSetting.id);
+        movementManager.distributeGap = app.ui.settings.getSettingValue(distributeGapSetting.id);
+        movementManager.enableGridSnap = app.ui.settings.getSettingValue(enableGridSnapSetting.id);
+        movementManager.gridSize = app.ui.settings.getSettingValue(gridSizeSetting.id);
+        movementManager.enableSmartGuides = app.ui.settings.getSettingValue(enableSmartGuidesSetting.id);
+        movementManager.smartGuideDistance = app.ui.settings.getSettingValue(smartGuideDistanceSetting.id);
+        movementManager.enableDiagonalLock = app.ui.settings.getSettingValue(enableDiagonalLockSetting.id);
+        movementManager.shiftDragState.threshold = app.ui.settings.getSettingValue(dragThresholdSetting.id);
+        movementManager.enableDirectionReevaluation = app.ui.settings.getSettingValue(enableDirectionReevaluationSetting.id);
+        
+        applyKeyBindingSettings();
         
         // 機能を初期化
         movementManager.initialize();
+        
+        window.LinearMove = createPublicApi(movementManager);
     }
 };
 
@@ -38,6 +38,166 @@ export async function api_post(url, options) {
     return result;
 }
 
+// KeyboardEvent.keyの比較用（1文字のキーは小文字に揃える）
+export function normalizeKey(key) {
+    if (!key) return '';
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+// modifier: 'Shift' | 'Ctrl'（macOSのCommandを含む） | 'Alt'、または'Ctrl+Shift'のような組み合わせ
+export function isModifierPressed(e, modifier) {
+    if (!modifier) return false;
+    return modifier.split('+').every(part => {
+        switch (part) {
+            case 'Shift': return e.shiftKey;
+            case 'Ctrl': return e.ctrlKey || e.metaKey;
+            case 'Alt': return e.altKey;
+            default: return false;
+        }
+    });
+}
+
+// { key, ctrl, alt, shift } を比較用の文字列に
+export function getComboId({ key, ctrl, alt, shift }) {
+    return `${normalizeKey(key)}:${!!ctrl}:${!!alt}:${!!shift}`;
+}
+
+// { key, ctrl, alt, shift } を "CTRL + ALT + K" の形式に
+export function formatCombo({ key, ctrl, alt, shift }) {
+    const parts = [];
+    if (ctrl) parts.push('CTRL');
+    if (alt) parts.push('ALT');
+    if (shift) parts.push('SHIFT');
+    parts.push(key.length === 1 ? key.toUpperCase() : key);
+    return parts.join(' + ');
+}
+
+// 複数の矩形 [x, y, w, h] を囲む矩形
+export function unionBounds(boundsList) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    boundsList.forEach(([x, y, w, h]) => {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x + w);
+        maxY = Math.max(maxY, y + h);
+    });
+    return [minX, minY, maxX - minX, maxY - minY];
+}
+
+// 2つの矩形 [x, y, w, h] の間の隙間 [x方向, y方向]（重なっている方向は0）
+export function getBoundsGap(a, b) {
+    const gapX = Math.max(0, b[0] - (a[0] + a[2]), a[0] - (b[0] + b[2]));
+    const gapY = Math.max(0, b[1] - (a[1] + a[3]), a[1] - (b[1] + b[3]));
+    return [gapX, gapY];
+}
+
+// 矩形 [x, y, w, h] の軸方向（axis: 0=x, 1=y）の [始端, 中心, 終端]
+export function getAxisLines(bounds, axis) {
+    const start = bounds[axis];
+    const size = bounds[axis + 2];
+    return [start, start + size / 2, start + size];
+}
+
+// 1軸方向の移動（axis: 0=x, 1=y）でぶつかる矩形を処理する
+// mode 'stop': ぶつかる手前で移動量を制限、'push': ぶつかる矩形を押し出す（連鎖あり）
+// fixed: obstacleBoundsごとの押し出せないかどうか（押し出しが固定の矩形に届く手前で止まる）
+// 戻り値: { delta: 制限後の移動量, offsets: obstacleBoundsごとの押し出し量 }
+export function resolveAxisCollisions(moverBounds, obstacleBounds, axis, delta, mode, gap, fixed = []) {
+    const offsets = obstacleBounds.map(() => 0);
+    if (delta === 0) return { delta, offsets };
+    
+    const other = 1 - axis;
+    const sign = Math.sign(delta);
+    const start = (bounds) => bounds[axis];
+    const end = (bounds) => bounds[axis] + bounds[axis + 2];
+    const overlapsAcross = (a, b) =>
+        a[other] < b[other] + b[other + 2] && b[other] < a[other] + a[other + 2];
+    
+    // 進行方向の前方にあり、横方向に重なっている場合のみ衝突する
+    // 初期位置での距離（gap以下）は維持する
+    const distanceAhead = (from, to) => {
+        if (!overlapsAcross(from, to)) return null;
+        const distance = sign > 0 ? start(to) - end(from) : start(from) - end(to);
+        return distance >= -1e-6 ? Math.max(distance, 0) : null;
+    };
+    
+    if (mode === 'stop') {
+        let limit = Math.abs(delta);
+        moverBounds.forEach(mover => {
+            obstacleBounds.forEach(obstacle => {
+                const distance = distanceAhead(mover, obstacle);
+                if (distance === null) return;
+                limit = Math.min(limit, Math.max(0, distance - gap));
+            });
+        });
+        return { delta: sign * limit, offsets };
+    }
+    
+    if (mode !== 'push') return { delta, offsets };
+    
+    // 押す側（元の矩形と移動量）を順に処理し、押された矩形も押す側に加える
+    const push = (moveDelta) => {
+        const pushed = obstacleBounds.map(() => 0);
+        const queue = moverBounds.map(bounds => ({ bounds, offset: moveDelta }));
+        let iterations = 0;
+        while (queue.length > 0 && iterations++ < 100000) {
+            const pusher = queue.shift();
+            obstacleBounds.forEach((obstacle, index) => {
+                if (obstacle === pusher.bounds) return;
+                const distance = distanceAhead(pusher.bounds, obstacle);
+                if (distance === null) return;
+                
+                const required = Math.max(0, Math.abs(pusher.offset) - Math.max(0, distance - Math.min(gap, distance)));
+                if (required > Math.abs(pushed[index]) + 1e-6) {
+                    pushed[index] = sign * required;
+                    queue.push({ bounds: obstacle, offset: pushed[index] });
+                }
+            });
+        }
+        return pushed;
+    };
+    const blocked = (pushed) => pushed.some((offset, index) => fixed[index] && Math.abs(offset) > 1e-6);
+    
+    let pushed = push(delta);
+    if (blocked(pushed)) {
+        // 固定の矩形を押さずに済む最大の移動量を二分探索
+        let low = 0;
+        let high = Math.abs(delta);
+        for (let i = 0; i < 30; i++) {
+            const mid = (low + high) / 2;
+            if (blocked(push(sign * mid))) high = mid;
+            else low = mid;
+        }
+        delta = sign * Math.floor(low + 1e-6);
+        pushed = push(delta);
+    }
+    return { delta, offsets: pushed };
+}
+
+// 最も近いグリッド線
+export function snapToGrid(value, gridSize) {
+    return Math.round(value / gridSize) * gridSize;
+}
+
+// valueをdeltaの方向へ動かした時、次のグリッド線に乗る移動量
+// deltaがグリッドより大きい場合はdelta分移動してから手前のグリッド線に合わせる
+export function snapDeltaToGrid(value, delta, gridSize) {
+    if (delta === 0 || gridSize <= 0) return delta;
+    
+    const target = value + delta;
+    let snapped = delta > 0
+        ? Math.floor(target / gridSize) * gridSize
+        : Math.ceil(target / gridSize) * gridSize;
+    
+    // 動かない（または逆方向になる）場合は次のグリッド線へ
+    if (delta > 0 ? snapped <= value : snapped >= value) {
+        snapped = delta > 0
+            ? (Math.floor(value / gridSize) + 1) * gridSize
+            : (Math.ceil(value / gridSize) - 1) * gridSize;
+    }
+    return snapped - value;
+}
+
 /*
 https://github.com/pythongosssss/ComfyUI-Custom-Scripts/blob/main/web/js/common/utils.js
 